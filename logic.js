@@ -1,3 +1,22 @@
+// A syntax error tied to a spot in the source text. The message starts with the line and
+// column; diagnostic repeats the source line with a caret under that spot.
+class ParseError extends Error {
+    constructor(message, source, offset) {
+        const before = source.slice(0, offset);
+        const line = before.split('\n').length;
+        const lineStart = before.lastIndexOf('\n') + 1;
+        const column = offset - lineStart + 1;
+        let lineEnd = source.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = source.length;
+        
+        super(`Line ${line}, column ${column}: ${message}`);
+        this.name = 'ParseError';
+        this.line = line;
+        this.column = column;
+        this.diagnostic = `${this.message}\n${source.slice(lineStart, lineEnd)}\n${' '.repeat(column - 1)}^`;
+    }
+}
+
 class LogicParser {
     constructor() {
         this.stepCounter = 1;
@@ -16,27 +35,61 @@ class LogicParser {
         return input.replace(/\$/g, '').trim();
     }
 
-    // Normalize input by converting LaTeX commands to symbols
+    // Normalize input by converting LaTeX commands to symbols. offsets[i] remembers where
+    // character i of the result came from, so errors can point into the text as typed.
     normalizeInput(text) {
-        if (!text) return '';
-        text = text.replace(/\u00A0/g, ' ');
-        text = text.replace(/\\+/g, '\\');
-        text = text.replace(/\\,|\\;|\\:|\\!|\\quad|\\qquad|\\ /g, ' ');
+        this.source = text || '';
+        this.offsets = [];
+        if (!text) return (this.normalized = '');
         
+        const spacing = ['\\,', '\\;', '\\:', '\\!', '\\quad', '\\qquad', '\\ '];
         const map = {
+            '\\top': '⊤', '\\bot': '⊥', '\\true': '⊤', '\\false': '⊥',
             '\\forall': '∀', '\\exists': '∃', '\\neg': '¬', '\\lnot': '¬',
+            '\\neq': '≠', '\\ne': '≠', '!=': '≠',
             '\\land': '∧', '\\lor': '∨', '\\leftrightarrow': '↔', '\\to': '→',
-            '<->': '↔', '->': '→', '!': '¬', '~': '¬', '&': '∧', '|': '∨'
+            '\\Leftrightarrow': '↔', '\\iff': '↔', '\\Rightarrow': '→', '\\implies': '→',
+            '\\leftarrow': '←', '\\Leftarrow': '←', '\\gets': '←',
+            '\\oplus': '⊕', '\\veebar': '⊕', '⊻': '⊕', '\\uparrow': '↑', '\\downarrow': '↓',
+            '\\in': '∈', '\\leq': '≤', '\\le': '≤', '\\geq': '≥', '\\ge': '≥', '\\lt': '<', '\\gt': '>',
+            '<=': '≤', '>=': '≥',
+            '<->': '↔', '->': '→', '<-': '←', '!': '¬', '~': '¬', '&': '∧', '|': '∨'
         };
+        spacing.forEach(command => { map[command] = ' '; });
+        // Longest match first, so \neq wins over \ne and <-> over <-
+        const commands = Object.keys(map).sort((a, b) => b.length - a.length);
         
-        for (const k in map) {
-            text = text.split(k).join(map[k]);
+        let result = '';
+        let i = 0;
+        while (i < text.length) {
+            // Doubled backslashes (from escaped strings) count as one
+            let j = i;
+            if (text[i] === '\\') {
+                while (text[j + 1] === '\\') j++;
+            }
+            
+            const command = commands.find(candidate => text.startsWith(candidate, j));
+            if (command) {
+                result += map[command];
+                this.offsets.push(i);
+                i = j + command.length;
+            } else {
+                result += text[j] === '\u00A0' ? ' ' : text[j];
+                this.offsets.push(i);
+                i = j + 1;
+            }
         }
-        return text;
+        return (this.normalized = result);
     }
 
     // Tokenize the input string
     tokenize(input) {
+        // Offsets point into the text given to normalizeInput when that is where input came from
+        if (input !== this.normalized) {
+            this.source = input;
+            this.offsets = [...input].map((ch, i) => i);
+        }
+        
         const tokens = [];
         let i = 0;
         while (i < input.length) {
@@ -44,28 +97,46 @@ class LogicParser {
             if (/\s/.test(ch)) { i++; continue; }
             
             if ('(),.:'.includes(ch)) {
-                tokens.push({ type: ch, value: ch });
+                tokens.push({ type: ch, value: ch, offset: this.offsets[i] });
                 i++;
                 continue;
             }
             
-            if (ch === '∀') { tokens.push({ type: 'forall', value: '∀' }); i++; continue; }
-            if (ch === '∃') { tokens.push({ type: 'exists', value: '∃' }); i++; continue; }
-            if (ch === '¬') { tokens.push({ type: 'not', value: '¬' }); i++; continue; }
-            if (ch === '∧') { tokens.push({ type: 'and', value: '∧' }); i++; continue; }
-            if (ch === '∨') { tokens.push({ type: 'or', value: '∨' }); i++; continue; }
-            if (ch === '→') { tokens.push({ type: 'implies', value: '→' }); i++; continue; }
-            if (ch === '↔') { tokens.push({ type: 'iff', value: '↔' }); i++; continue; }
+            if (ch === '∀') { tokens.push({ type: 'forall', value: '∀', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '∃') { tokens.push({ type: 'exists', value: '∃', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '¬') { tokens.push({ type: 'not', value: '¬', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '∧') { tokens.push({ type: 'and', value: '∧', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '∨') { tokens.push({ type: 'or', value: '∨', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '→') { tokens.push({ type: 'implies', value: '→', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '↔') { tokens.push({ type: 'iff', value: '↔', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '←') { tokens.push({ type: 'revimplies', value: '←', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '⊕') { tokens.push({ type: 'xor', value: '⊕', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '↑') { tokens.push({ type: 'nand', value: '↑', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '↓') { tokens.push({ type: 'nor', value: '↓', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '=') { tokens.push({ type: 'eq', value: '=', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '≠') { tokens.push({ type: 'neq', value: '≠', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '⊤') { tokens.push({ type: 'top', value: '⊤', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '⊥') { tokens.push({ type: 'bottom', value: '⊥', offset: this.offsets[i] }); i++; continue; }
+            if (ch === '∈') { tokens.push({ type: 'in', value: '∈', offset: this.offsets[i] }); i++; continue; }
+            if ('<>≤≥'.includes(ch)) { tokens.push({ type: 'cmp', value: ch, offset: this.offsets[i] }); i++; continue; }
+            
+            if (this.isDigit(ch)) {
+                let j = i + 1;
+                while (j < input.length && this.isDigit(input[j])) j++;
+                tokens.push({ type: 'number', value: input.slice(i, j), offset: this.offsets[i] });
+                i = j;
+                continue;
+            }
             
             if (this.isLetter(ch)) {
                 let j = i + 1;
                 while (j < input.length && /[A-Za-z0-9_]/.test(input[j])) j++;
-                tokens.push({ type: 'name', value: input.slice(i, j) });
+                tokens.push({ type: 'name', value: input.slice(i, j), offset: this.offsets[i] });
                 i = j;
                 continue;
             }
             
-            throw new Error('Unexpected character: ' + ch);
+            throw new ParseError(`unexpected character ${ch}`, this.source, this.offsets[i]);
         }
         return tokens;
     }
@@ -82,7 +153,19 @@ class LogicParser {
     parse(tokens) {
         this.tokens = tokens;
         this.index = 0;
-        return this.parseExpression();
+        // Symbol name -> { type: 'predicate' | 'function', arity } for the formula being parsed
+        this.signature = {};
+        this.boundVariables = [];
+        this.desugaredBinders = false;
+        const ast = this.parseExpression();
+        if (!this.isAtEnd()) {
+            const token = this.peek();
+            throw this.error(token.type === ')' ? 'unmatched closing parenthesis' : `unexpected ${token.value} after the end of the formula`, token);
+        }
+        if (this.desugaredBinders) {
+            this.addStep("Desugar bounded quantifiers:", this.toLatex(ast));
+        }
+        return ast;
     }
 
     parseExpression() {
@@ -99,28 +182,40 @@ class LogicParser {
     }
 
     parseImplies() {
+        let left = this.parseXor();
+        while (this.match('implies') || this.match('revimplies')) {
+            const kind = this.previous().type === 'implies' ? 'Implies' : 'ReverseImplies';
+            const right = this.parseXor();
+            left = { kind, left, right };
+        }
+        return left;
+    }
+
+    parseXor() {
         let left = this.parseOr();
-        while (this.match('implies')) {
+        while (this.match('xor')) {
             const right = this.parseOr();
-            left = { kind: 'Implies', left, right };
+            left = { kind: 'Xor', left, right };
         }
         return left;
     }
 
     parseOr() {
         let left = this.parseAnd();
-        while (this.match('or')) {
+        while (this.match('or') || this.match('nor')) {
+            const kind = this.previous().type === 'or' ? 'Or' : 'Nor';
             const right = this.parseAnd();
-            left = { kind: 'Or', left, right };
+            left = kind === 'Or' ? this.connect('Or', [left, right]) : { kind, left, right };
         }
         return left;
     }
 
     parseAnd() {
         let left = this.parseUnary();
-        while (this.match('and')) {
+        while (this.match('and') || this.match('nand')) {
+            const kind = this.previous().type === 'and' ? 'And' : 'Nand';
             const right = this.parseUnary();
-            left = { kind: 'And', left, right };
+            left = kind === 'And' ? this.connect('And', [left, right]) : { kind, left, right };
         }
         return left;
     }
@@ -131,49 +226,201 @@ class LogicParser {
         }
         
         if (this.match('forall') || this.match('exists')) {
-            const quantifier = this.previous().type;
-            const variable = this.consume('name').value;
-            let body = this.parseUnary();
-            return {
-                kind: quantifier === 'forall' ? 'ForAll' : 'Exists',
-                variable,
-                body
-            };
+            const kind = this.previous().type === 'forall' ? 'ForAll' : 'Exists';
+            const variables = this.parseBinderVariables();
+            
+            // ∀x ∈ A φ ≡ ∀x (x ∈ A → φ) and ∃x > 0 φ ≡ ∃x (x > 0 ∧ φ)
+            let bounds = [];
+            if (this.match('in') || this.match('cmp')) {
+                const relation = this.previous().value;
+                // In "∀x ∈ S (φ)" the parenthesis opens the body; only f(...) written without a
+                // space is a function application
+                const next = this.tokens[this.index + 1];
+                const applied = this.check('name') && next && next.type === '(' && next.offset === this.peek().offset + this.peek().value.length;
+                const bound = this.parseTerm(applied);
+                bounds = variables.map(variable => this.relationAtom({ kind: 'Variable', name: variable }, relation, bound));
+            }
+            
+            // After "." or ":" the body reaches as far right as possible, as in textbooks
+            const scoped = this.match('.') || this.match(':');
+            this.boundVariables.push(...variables);
+            let body = scoped ? this.parseExpression() : this.parseUnary();
+            this.boundVariables.splice(this.boundVariables.length - variables.length);
+            
+            if (bounds.length > 0) {
+                const condition = this.connect('And', bounds);
+                body = kind === 'ForAll'
+                    ? { kind: 'Implies', left: condition, right: body }
+                    : this.connect('And', [condition, body]);
+                this.desugaredBinders = true;
+            }
+            return variables.reduceRight((inner, variable) => ({ kind, variable, body: inner }), body);
         }
         
         return this.parsePrimary();
     }
 
+    // x, y, z after a quantifier, or x y z when the names run up to "." or ":". Otherwise a
+    // further name is part of the body, so in ∀x y > 0 the y stays free.
+    parseBinderVariables() {
+        const variables = [this.consume('name', `expected a variable after ${this.previous().value}`).value];
+        for (;;) {
+            if (this.match(',')) {
+                variables.push(this.consume('name', 'expected a variable after ,').value);
+                continue;
+            }
+            let end = this.index;
+            while (this.tokens[end] && this.tokens[end].type === 'name') end++;
+            if (end > this.index && this.tokens[end] && ['.', ':'].includes(this.tokens[end].type)) {
+                while (this.index < end) variables.push(this.advance().value);
+            }
+            return variables;
+        }
+    }
+
+    // Infix relations such as x ∈ A or x > 0 are binary predicates printed between their arguments
+    relationAtom(left, relation, right) {
+        const name = { '∈': '\\in', '<': '<', '>': '>', '≤': '\\leq', '≥': '\\geq' }[relation];
+        this.declareSymbol(name, 'predicate', 2);
+        return { kind: 'Predicate', name, args: [left, right] };
+    }
+
     parsePrimary() {
         if (this.match('(')) {
+            const open = this.previous();
             const expr = this.parseExpression();
-            this.consume(')');
+            this.consume(')', `missing closing parenthesis opened at ${this.describePosition(open)}`);
             return expr;
         }
         
+        if (this.match('top')) return { kind: 'Top' };
+        if (this.match('bottom')) return { kind: 'Bottom' };
+        
+        // 1/0 and a bare T/F are the usual shorthands for true and false
+        if (this.check('number') && (this.peek().value === '1' || this.peek().value === '0') && !this.isEqualityAhead()) {
+            return this.advance().value === '1' ? { kind: 'Top' } : { kind: 'Bottom' };
+        }
+        if (this.check('name') && (this.peek().value === 'T' || this.peek().value === 'F')
+            && !this.isEqualityAhead() && !(this.tokens[this.index + 1] && this.tokens[this.index + 1].type === '(')) {
+            // Declared like a symbol, so T(x) ∧ T is a clash rather than a silent choice
+            const token = this.advance();
+            this.declareSymbol(token.value, 'truth constant', 0, token);
+            return token.value === 'T' ? { kind: 'Top' } : { kind: 'Bottom' };
+        }
+        
+        if (this.isEqualityAhead()) {
+            const left = this.parseTerm();
+            if (this.match('in') || this.match('cmp')) {
+                return this.relationAtom(left, this.previous().value, this.parseTerm());
+            }
+            const kind = this.match('eq') ? 'Equals' : (this.consume('neq'), 'NotEquals');
+            const right = this.parseTerm();
+            return { kind, left, right };
+        }
+        
         if (this.check('name')) {
-            const name = this.consume('name').value;
+            const token = this.consume('name');
+            const name = token.value;
             
             if (this.match('(')) {
+                const open = this.previous();
                 const args = this.parseArguments();
-                this.consume(')');
+                this.consume(')', `missing closing parenthesis opened at ${this.describePosition(open)}`);
+                this.declareSymbol(name, 'predicate', args.length, token);
                 return { kind: 'Predicate', name, args };
             }
             
-            return { kind: 'Variable', name };
+            // Propositional atom: a predicate without arguments
+            this.declareSymbol(name, 'predicate', 0, token);
+            return { kind: 'Predicate', name, args: [] };
         }
         
-        throw new Error('Expected primary expression');
+        throw this.error(`expected a formula, found ${this.describe(this.peek())}`, this.peek());
     }
 
     parseArguments() {
-        const args = [this.parseExpression()];
+        const args = [this.parseTerm()];
         while (this.match(',')) {
-            args.push(this.parseExpression());
+            args.push(this.parseTerm());
         }
         return args;
     }
 
+    // Look past one term (a name with an optional argument list, or a number) for '=', '≠'
+    // or a relation symbol
+    isEqualityAhead() {
+        let i = this.index;
+        if (!this.tokens[i] || (this.tokens[i].type !== 'name' && this.tokens[i].type !== 'number')) return false;
+        i++;
+        if (this.tokens[i] && this.tokens[i].type === '(') {
+            let depth = 0;
+            do {
+                if (this.tokens[i].type === '(') depth++;
+                if (this.tokens[i].type === ')') depth--;
+                i++;
+            } while (depth > 0 && i < this.tokens.length);
+        }
+        return !!this.tokens[i] && ['eq', 'neq', 'in', 'cmp'].includes(this.tokens[i].type);
+    }
+
+    // Parse a lone term such as f(x, g(a)); an atom P(x) comes out with the same shape
+    parseTermInput(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+        this.signature = {};
+        this.boundVariables = [];
+        const term = this.parseTerm();
+        if (!this.isAtEnd()) {
+            throw this.error(`unexpected ${this.peek().value} after the term`, this.peek());
+        }
+        return term;
+    }
+
+    // term := variable | constant | number | function '(' term {',' term} ')'
+    parseTerm(allowArguments = true) {
+        if (this.check('number')) {
+            return { kind: 'Constant', name: this.advance().value };
+        }
+        if (!this.check('name')) {
+            throw this.error(`expected a term, found ${this.describe(this.peek())}`, this.peek());
+        }
+        const token = this.consume('name');
+        const name = token.value;
+        
+        if (allowArguments && this.match('(')) {
+            const open = this.previous();
+            const args = this.parseArguments();
+            this.consume(')', `missing closing parenthesis opened at ${this.describePosition(open)}`);
+            this.declareSymbol(name, 'function', args.length, token);
+            return { kind: 'Function', name, args };
+        }
+        
+        if (this.isVariableName(name)) {
+            return { kind: 'Variable', name };
+        }
+        
+        this.declareSymbol(name, 'function', 0, token);
+        return { kind: 'Constant', name };
+    }
+
+    // Names bound by an enclosing quantifier are variables; free names follow the
+    // textbook convention that u-z are variables and everything else is a constant
+    isVariableName(name) {
+        return this.boundVariables.includes(name) || /^[u-z]/.test(name);
+    }
+
+    declareSymbol(name, type, arity, token) {
+        const known = this.signature[name];
+        if (!known) {
+            this.signature[name] = { type, arity };
+            return;
+        }
+        if (known.type !== type || known.arity !== arity) {
+            const describe = symbol => symbol.type === 'truth constant' ? symbol.type : `${symbol.type} of arity ${symbol.arity}`;
+            throw this.error(`symbol ${name} is used as a ${describe(known)} and as a ${describe({ type, arity })}`, token);
+        }
+    }
+
     // Parser helper methods
     match(expectedType) {
         if (this.check(expectedType)) {
@@ -201,139 +448,116 @@ class LogicParser {
         return this.tokens[this.index - 1];
     }
 
-    consume(expectedType) {
+    consume(expectedType, message) {
         if (this.check(expectedType)) return this.advance();
-        throw new Error(`Expected ${expectedType}, found ${this.peek().type}`);
+        throw this.error(message || `expected ${expectedType}, found ${this.describe(this.peek())}`, this.peek());
     }
 
     isAtEnd() {
         return this.index >= this.tokens.length;
     }
 
-    // Convert AST back to LaTeX
-    toLatex(node) {
-        switch (node.kind) {
-            case 'ForAll':
-                return `\\forall ${node.variable} (${this.toLatex(node.body)})`;
-            case 'Exists':
-                return `\\exists ${node.variable} (${this.toLatex(node.body)})`;
-            case 'Not':
-                return `\\lnot ${this.toLatex(node.child)}`;
-            case 'And':
-                return `(${this.toLatex(node.left)} \\land ${this.toLatex(node.right)})`;
-            case 'Or':
-                return `(${this.toLatex(node.left)} \\lor ${this.toLatex(node.right)})`;
-            case 'Implies':
-                return `(${this.toLatex(node.left)} \\to ${this.toLatex(node.right)})`;
-            case 'Iff':
-                return `(${this.toLatex(node.left)} \\leftrightarrow ${this.toLatex(node.right)})`;
-            case 'Predicate':
-                return node.args && node.args.length > 0 
-                    ? `${node.name}(${node.args.map(arg => this.toLatex(arg)).join(', ')})`
-                    : node.name;
-            case 'Variable':
-                return node.name;
-            default:
-                return 'unknown';
-        }
+    describe(token) {
+        return token ? token.value : 'end of input';
     }
-}
 
-class CNFConverter {
-    constructor() {
-        this.parser = new LogicParser();
+    describePosition(token) {
+        const before = this.source.slice(0, token.offset);
+        const line = before.split('\n').length;
+        const column = token.offset - before.lastIndexOf('\n');
+        return this.source.includes('\n') ? `line ${line}, column ${column}` : `column ${column}`;
     }
 
-    convert(input) {
-        this.parser.stepCounter = 1;
-        this.parser.steps = [];
+    // Errors without a token (end of input) point just past the last character
+    error(message, token) {
+        const source = this.source || '';
+        return new ParseError(message, source, token && token.offset !== undefined ? token.offset : source.length);
+    }
 
-        // Step 1: Show original formula
-        let formula = this.parser.cleanInput(input);
-        this.parser.addStep("Original formula:", formula);
+    // Error step of a failed conversion; parse errors keep their caret diagnostic
+    addErrorStep(error) {
+        this.addStep("Error:", "Failed to process formula: " + error.message);
+        if (error.diagnostic) this.steps[this.steps.length - 1].diagnostic = error.diagnostic;
+    }
 
-        try {
-            // Normalize and parse
-            const normalized = this.parser.normalizeInput(formula);
-            const tokens = this.parser.tokenize(normalized);
-            const ast = this.parser.parse(tokens);
-            
-            // Step 2: Eliminate implications
-            const withoutImpl = this.eliminateImplications(ast);
-            this.parser.addStep("Eliminate implications:", this.parser.toLatex(withoutImpl));
-            
-            // Step 3: De Morgan
-            const withDeMorgan = this.applyDeMorgan(withoutImpl);
-            if (this.parser.toLatex(withDeMorgan) !== this.parser.toLatex(withoutImpl)) {
-                this.parser.addStep("Apply De Morgan's laws:", this.parser.toLatex(withDeMorgan));
-            }
-            
-            // NEW STEP: Convert to Prenex form
-            const prenexForm = this.convertToPrenex(withDeMorgan);
-            if (this.parser.toLatex(prenexForm) !== this.parser.toLatex(withDeMorgan)) {
-                this.parser.addStep("Convert to Prenex form:", this.parser.toLatex(prenexForm));
-            }
-            
-            // Step 4: Distribute AND over OR
-            const distributed = this.distributeAndOverOr(prenexForm);
-            if (this.parser.toLatex(distributed) !== this.parser.toLatex(prenexForm)) {
-                this.parser.addStep("Distribute AND over OR:", this.parser.toLatex(distributed));
-            }
-            
-            // Final result
-            const result = this.parser.toLatex(distributed);
-            this.parser.addStep("CNF Result:", result);
-            
-            return {
-                steps: this.parser.steps,
-                result: result
-            };
-        } catch (error) {
-            console.error("Error in CNF conversion:", error);
-            this.parser.addStep("Error:", "Failed to process formula: " + error.message);
-            return {
-                steps: this.parser.steps,
-                result: "Error"
-            };
-        }
+    // Turns the error step left by another converter back into an error
+    errorFromSteps(steps) {
+        const failure = steps[steps.length - 1];
+        const error = new Error(failure.formula.replace("Failed to process formula: ", ""));
+        error.diagnostic = failure.diagnostic;
+        return error;
     }
-    
-    eliminateImplications(ast) {
+
+    // A ⊕ B ≡ (A ∧ ¬B) ∨ (¬A ∧ B), A ↑ B ≡ ¬(A ∧ B), A ↓ B ≡ ¬(A ∨ B), A ← B ≡ A ∨ ¬B
+    eliminateExtraConnectives(ast) {
         switch (ast.kind) {
-            case 'Implies':
+            case 'Xor': {
+                const left = this.eliminateExtraConnectives(ast.left);
+                const right = this.eliminateExtraConnectives(ast.right);
+                return this.connect('Or', [
+                    this.connect('And', [left, { kind: 'Not', child: right }]),
+                    this.connect('And', [{ kind: 'Not', child: left }, right])
+                ]);
+            }
+            case 'Nand':
+            case 'Nor':
                 return {
-                    kind: 'Or',
-                    left: { kind: 'Not', child: this.eliminateImplications(ast.left) },
-                    right: this.eliminateImplications(ast.right)
+                    kind: 'Not',
+                    child: this.connect(ast.kind === 'Nand' ? 'And' : 'Or', [
+                        this.eliminateExtraConnectives(ast.left),
+                        this.eliminateExtraConnectives(ast.right)
+                    ])
                 };
+            case 'ReverseImplies':
+                return this.connect('Or', [
+                    this.eliminateExtraConnectives(ast.left),
+                    { kind: 'Not', child: this.eliminateExtraConnectives(ast.right) }
+                ]);
+            case 'Not':
+                return { kind: 'Not', child: this.eliminateExtraConnectives(ast.child) };
+            case 'And':
+            case 'Or':
+                return this.connect(ast.kind, ast.operands.map(operand => this.eliminateExtraConnectives(operand)));
+            case 'Implies':
             case 'Iff':
                 return {
-                    kind: 'And',
-                    left: {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.eliminateImplications(ast.left) },
-                        right: this.eliminateImplications(ast.right)
-                    },
-                    right: {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.eliminateImplications(ast.right) },
-                        right: this.eliminateImplications(ast.left)
-                    }
+                    kind: ast.kind,
+                    left: this.eliminateExtraConnectives(ast.left),
+                    right: this.eliminateExtraConnectives(ast.right)
+                };
+            case 'ForAll':
+            case 'Exists':
+                return {
+                    kind: ast.kind,
+                    variable: ast.variable,
+                    body: this.eliminateExtraConnectives(ast.body)
                 };
+            default:
+                return ast;
+        }
+    }
+
+    // A → B ≡ ¬A ∨ B, A ↔ B ≡ (¬A ∨ B) ∧ (¬B ∨ A)
+    eliminateImplications(ast) {
+        switch (ast.kind) {
+            case 'Implies':
+                return this.connect('Or', [
+                    { kind: 'Not', child: this.eliminateImplications(ast.left) },
+                    this.eliminateImplications(ast.right)
+                ]);
+            case 'Iff': {
+                const left = this.eliminateImplications(ast.left);
+                const right = this.eliminateImplications(ast.right);
+                return this.connect('And', [
+                    this.connect('Or', [{ kind: 'Not', child: left }, right]),
+                    this.connect('Or', [{ kind: 'Not', child: right }, left])
+                ]);
+            }
             case 'Not':
                 return { kind: 'Not', child: this.eliminateImplications(ast.child) };
             case 'And':
-                return {
-                    kind: 'And',
-                    left: this.eliminateImplications(ast.left),
-                    right: this.eliminateImplications(ast.right)
-                };
             case 'Or':
-                return {
-                    kind: 'Or',
-                    left: this.eliminateImplications(ast.left),
-                    right: this.eliminateImplications(ast.right)
-                };
+                return this.connect(ast.kind, ast.operands.map(operand => this.eliminateImplications(operand)));
             case 'ForAll':
                 return {
                     kind: 'ForAll',
@@ -351,114 +575,2146 @@ class CNFConverter {
         }
     }
 
-    applyDeMorgan(ast) {
+    // Fold ⊤ and ⊥ away: A ∧ ⊥ ≡ ⊥, A ∧ ⊤ ≡ A, A ∨ ⊤ ≡ ⊤, A ∨ ⊥ ≡ A, ¬⊤ ≡ ⊥, ¬⊥ ≡ ⊤.
+    // The other connectives reduce to their operand or its negation next to a constant.
+    simplifyConstants(ast) {
         switch (ast.kind) {
-            case 'Not':
-                if (ast.child.kind === 'And') {
-                    return {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.applyDeMorgan(ast.child.left) },
-                        right: { kind: 'Not', child: this.applyDeMorgan(ast.child.right) }
-                    };
-                } else if (ast.child.kind === 'Or') {
-                    return {
-                        kind: 'And',
-                        left: { kind: 'Not', child: this.applyDeMorgan(ast.child.left) },
-                        right: { kind: 'Not', child: this.applyDeMorgan(ast.child.right) }
-                    };
-                } else if (ast.child.kind === 'Not') {
-                    return this.applyDeMorgan(ast.child.child); 
-                }
+            case 'Not': {
+                const child = this.simplifyConstants(ast.child);
+                if (child.kind === 'Top') return { kind: 'Bottom' };
+                if (child.kind === 'Bottom') return { kind: 'Top' };
+                return { kind: 'Not', child };
+            }
+            case 'And':
+            case 'Or': {
+                // ⊥ absorbs a conjunction and ⊤ a disjunction, the other constant drops out
+                const absorbing = ast.kind === 'And' ? 'Bottom' : 'Top';
+                const operands = ast.operands.map(operand => this.simplifyConstants(operand));
+                if (operands.some(operand => operand.kind === absorbing)) return { kind: absorbing };
+                return this.connect(ast.kind, operands.filter(operand => operand.kind !== 'Top' && operand.kind !== 'Bottom'));
+            }
+            case 'Implies':
+            case 'ReverseImplies':
+            case 'Iff':
+            case 'Xor':
+            case 'Nand':
+            case 'Nor': {
+                const left = this.simplifyConstants(ast.left);
+                const right = this.simplifyConstants(ast.right);
+                return this.foldConstantOperand(ast.kind, left, right) || { kind: ast.kind, left, right };
+            }
+            case 'ForAll':
+            case 'Exists': {
+                // A quantifier over a constant body is that constant
+                const body = this.simplifyConstants(ast.body);
+                if (body.kind === 'Top' || body.kind === 'Bottom') return body;
+                return { kind: ast.kind, variable: ast.variable, body };
+            }
+            default:
                 return ast;
+        }
+    }
+
+    // A binary connective with a ⊤ or ⊥ operand, or null when neither operand is a constant
+    foldConstantOperand(kind, left, right) {
+        const isConstant = node => node.kind === 'Top' || node.kind === 'Bottom';
+        if (!isConstant(left) && !isConstant(right)) return null;
+        const not = node => this.simplifyConstants({ kind: 'Not', child: node });
+        switch (kind) {
+            case 'Implies':
+                // ⊤ → B ≡ B, ⊥ → B ≡ ⊤, A → ⊤ ≡ ⊤, A → ⊥ ≡ ¬A
+                if (isConstant(left)) return left.kind === 'Top' ? right : { kind: 'Top' };
+                return right.kind === 'Top' ? right : not(left);
+            case 'ReverseImplies':
+                return this.foldConstantOperand('Implies', right, left);
+            case 'Iff':
+            case 'Xor': {
+                // ⊤ ↔ B ≡ B, ⊥ ↔ B ≡ ¬B, and ⊕ the other way round
+                const [constant, other] = isConstant(left) ? [left, right] : [right, left];
+                return (constant.kind === 'Top') === (kind === 'Iff') ? other : not(other);
+            }
+            case 'Nand':
+            case 'Nor':
+                return not(this.simplifyConstants(this.connect(kind === 'Nand' ? 'And' : 'Or', [left, right])));
+            default:
+                return null;
+        }
+    }
+
+    // Collect every symbol and variable name used in an AST
+    collectNames(ast, names = new Set()) {
+        switch (ast.kind) {
+            case 'ForAll':
+            case 'Exists':
+                names.add(ast.variable);
+                return this.collectNames(ast.body, names);
+            case 'Not':
+                return this.collectNames(ast.child, names);
+            case 'And':
+            case 'Or':
+                for (const operand of ast.operands) this.collectNames(operand, names);
+                return names;
+            case 'Implies':
+            case 'Iff':
+            case 'Xor':
+            case 'Nand':
+            case 'Nor':
+            case 'ReverseImplies':
+            case 'Equals':
+            case 'NotEquals':
+                this.collectNames(ast.left, names);
+                return this.collectNames(ast.right, names);
+            case 'Predicate':
+            case 'Function':
+                names.add(ast.name);
+                for (const arg of ast.args) this.collectNames(arg, names);
+                return names;
+            case 'Constant':
+            case 'Variable':
+                names.add(ast.name);
+                return names;
+            default:
+                return names;
+        }
+    }
+
+    // Negation normal form: ¬ is pushed inward by double negation, De Morgan and quantifier
+    // duality until it only stands in front of atoms. Each round rewrites the outermost
+    // negation that can still move; onRewrite (optional) sees every law as it is applied.
+    toNegationNormalForm(ast, onRewrite) {
+        let current = ast;
+        for (let rewrite = this.rewriteNegation(current); rewrite; rewrite = this.rewriteNegation(current)) {
+            current = rewrite.ast;
+            if (onRewrite) onRewrite(rewrite, current);
+        }
+        return current;
+    }
+
+    // One rewrite at the outermost movable negation, or null when ast is in NNF
+    rewriteNegation(ast) {
+        if (ast.kind === 'Not') {
+            const law = this.negationLaw(ast.child);
+            if (law) return { ast: law.ast, name: law.name, rule: law.rule, redex: ast };
+        }
+        
+        for (const key of ['child', 'left', 'right', 'body']) {
+            if (!ast[key] || ['Equals', 'NotEquals'].includes(ast.kind)) continue;
+            const inner = this.rewriteNegation(ast[key]);
+            if (inner) return { ...inner, ast: { ...ast, [key]: inner.ast } };
+        }
+        for (const [i, operand] of (ast.operands || []).entries()) {
+            const inner = this.rewriteNegation(operand);
+            if (inner) {
+                const operands = ast.operands.map((other, j) => j === i ? inner.ast : other);
+                return { ...inner, ast: this.connect(ast.kind, operands) };
+            }
+        }
+        return null;
+    }
+
+    negationLaw(child) {
+        const not = node => ({ kind: 'Not', child: node });
+        switch (child.kind) {
+            case 'Not':
+                return { name: 'Double negation', rule: '\\lnot \\lnot A \\equiv A', ast: child.child };
             case 'And':
                 return {
-                    kind: 'And',
-                    left: this.applyDeMorgan(ast.left),
-                    right: this.applyDeMorgan(ast.right)
+                    name: "De Morgan's law", rule: '\\lnot (A \\land B) \\equiv \\lnot A \\lor \\lnot B',
+                    ast: { kind: 'Or', operands: child.operands.map(not) }
                 };
             case 'Or':
                 return {
-                    kind: 'Or',
-                    left: this.applyDeMorgan(ast.left),
-                    right: this.applyDeMorgan(ast.right)
+                    name: "De Morgan's law", rule: '\\lnot (A \\lor B) \\equiv \\lnot A \\land \\lnot B',
+                    ast: { kind: 'And', operands: child.operands.map(not) }
                 };
             case 'ForAll':
                 return {
-                    kind: 'ForAll',
-                    variable: ast.variable,
-                    body: this.applyDeMorgan(ast.body)
+                    name: 'Quantifier duality', rule: '\\lnot \\forall x\\, A \\equiv \\exists x\\, \\lnot A',
+                    ast: { kind: 'Exists', variable: child.variable, body: not(child.body) }
                 };
             case 'Exists':
                 return {
-                    kind: 'Exists',
-                    variable: ast.variable,
-                    body: this.applyDeMorgan(ast.body)
+                    name: 'Quantifier duality', rule: '\\lnot \\exists x\\, A \\equiv \\forall x\\, \\lnot A',
+                    ast: { kind: 'ForAll', variable: child.variable, body: not(child.body) }
+                };
+            case 'Top':
+                return { name: 'Negated constant', rule: '\\lnot \\top \\equiv \\bot', ast: { kind: 'Bottom' } };
+            case 'Bottom':
+                return { name: 'Negated constant', rule: '\\lnot \\bot \\equiv \\top', ast: { kind: 'Top' } };
+            case 'NotEquals':
+                return {
+                    name: 'Negated inequality', rule: '\\lnot (s \\neq t) \\equiv s = t',
+                    ast: { kind: 'Equals', left: child.left, right: child.right }
                 };
             default:
-                return ast;
+                return null;
         }
     }
 
-    distributeAndOverOr(ast) {
-        if (ast.kind === 'Or') {
-            if (ast.left.kind === 'And') {
-                return {
-                    kind: 'And',
-                    left: this.distributeAndOverOr({
-                        kind: 'Or',
-                        left: ast.left.left,
-                        right: ast.right
-                    }),
-                    right: this.distributeAndOverOr({
-                        kind: 'Or',
-                        left: ast.left.right,
-                        right: ast.right
-                    })
-                };
-            } else if (ast.right.kind === 'And') {
-                return {
-                    kind: 'And',
-                    left: this.distributeAndOverOr({
-                        kind: 'Or',
-                        left: ast.left,
-                        right: ast.right.left
-                    }),
-                    right: this.distributeAndOverOr({
-                        kind: 'Or',
-                        left: ast.left,
-                        right: ast.right.right
-                    })
-                };
-            }
-        }
-        
-        if (ast.kind === 'And') {
-            return {
-                kind: 'And',
-                left: this.distributeAndOverOr(ast.left),
-                right: this.distributeAndOverOr(ast.right)
-            };
-        }
-        
-        if (ast.kind === 'Not') {
-            return { kind: 'Not', child: this.distributeAndOverOr(ast.child) };
-        }
-        
-        return ast;
+    // n-ary And/Or node. Operands of the same kind are spliced in, a single operand stands
+    // for itself and no operands give the unit of the connective (⊤ for ∧, ⊥ for ∨).
+    connect(kind, operands) {
+        const flat = operands.flatMap(operand => operand.kind === kind ? operand.operands : [operand]);
+        if (flat.length === 0) return { kind: kind === 'And' ? 'Top' : 'Bottom' };
+        return flat.length === 1 ? flat[0] : { kind, operands: flat };
     }
-    convertToPrenex(ast) {
-        const prenexConverter = new PrenexConverter();
-        return prenexConverter.convertToPrenex(ast);
+
+    // Rebuild every And/Or through connect, so no conjunction directly contains another
+    flatten(ast) {
+        switch (ast.kind) {
+            case 'And':
+            case 'Or':
+                return this.connect(ast.kind, ast.operands.map(operand => this.flatten(operand)));
+            case 'Not':
+                return { kind: 'Not', child: this.flatten(ast.child) };
+            case 'ForAll':
+            case 'Exists':
+                return { kind: ast.kind, variable: ast.variable, body: this.flatten(ast.body) };
+            case 'Implies':
+            case 'Iff':
+            case 'Xor':
+            case 'Nand':
+            case 'Nor':
+            case 'ReverseImplies':
+                return { kind: ast.kind, left: this.flatten(ast.left), right: this.flatten(ast.right) };
+            default:
+                return ast;
+        }
     }
-}
 
-class DNFConverter {
-    constructor() {
-        this.parser = new LogicParser();
+    // Distribute one connective over the other until outer is on top everywhere:
+    // distribute(ast, 'And', 'Or') turns A ∨ (B ∧ C) into (A ∨ B) ∧ (A ∨ C) for CNF,
+    // distribute(ast, 'Or', 'And') is the dual used for DNF. Expects NNF.
+    distribute(ast, outer, inner) {
+        switch (ast.kind) {
+            case outer:
+                return this.connect(outer, ast.operands.map(operand => this.distribute(operand, outer, inner)));
+            case inner:
+                return this.product(ast.operands.map(operand => this.distribute(operand, outer, inner)), outer, inner);
+            case 'Not':
+                return { kind: 'Not', child: this.distribute(ast.child, outer, inner) };
+            case 'ForAll':
+            case 'Exists':
+                return { kind: ast.kind, variable: ast.variable, body: this.distribute(ast.body, outer, inner) };
+            default:
+                return ast;
+        }
     }
 
-    convert(input) {
-        this.parser.stepCounter = 1;
+    // One round of distribute: only inner nodes whose operands are already distributed are
+    // multiplied out. Returns ast itself when there is nothing left to distribute, so callers
+    // can simplify between rounds before the products multiply again.
+    distributeInnermost(ast, outer, inner) {
+        switch (ast.kind) {
+            case outer:
+            case inner: {
+                const operands = ast.operands.map(operand => this.distributeInnermost(operand, outer, inner));
+                if (operands.some((operand, i) => operand !== ast.operands[i])) {
+                    return this.connect(ast.kind, operands);
+                }
+                if (ast.kind === inner && operands.some(operand => operand.kind === outer)) {
+                    return this.product(operands, outer, inner);
+                }
+                return ast;
+            }
+            case 'Not':
+            case 'ForAll':
+            case 'Exists': {
+                const key = ast.kind === 'Not' ? 'child' : 'body';
+                const distributed = this.distributeInnermost(ast[key], outer, inner);
+                return distributed === ast[key] ? ast : { ...ast, [key]: distributed };
+            }
+            default:
+                return ast;
+        }
+    }
+
+    // Multiply out distributed operands of an inner node: each is an outer node of inner-free
+    // parts or one such part, and the result takes one part from every operand in all ways
+    product(operands, outer, inner) {
+        const choices = operands.map(operand => operand.kind === outer ? operand.operands : [operand]);
+        const products = choices.reduce(
+            (partial, parts) => partial.flatMap(chosen => parts.map(part => [...chosen, part])),
+            [[]]
+        );
+        return this.connect(outer, products.map(product => this.connect(inner, product)));
+    }
+
+    // Clean up distributed products: repeated literals in a product are merged, a product with
+    // a literal and its negation becomes the unit of outer (⊤ as a clause, ⊥ as a term) and
+    // drops out, and so does a repeated product
+    simplifyProducts(ast, outer, inner) {
+        const unit = outer === 'And' ? 'Top' : 'Bottom';
+        switch (ast.kind) {
+            case outer:
+            case inner: {
+                const operands = ast.operands.map(operand => this.simplifyProducts(operand, outer, inner));
+                if (ast.kind === inner && operands.some(operand => operand.kind === unit)) return { kind: unit };
+                
+                // Products are compared as sets, so A ∨ B repeats B ∨ A
+                const keyOf = operand => operand.kind === inner
+                    ? operand.operands.map(literal => this.toLatex(literal)).sort().join(',')
+                    : this.toLatex(operand);
+                const kept = new Map();
+                for (const operand of operands) {
+                    if (ast.kind === outer && operand.kind === unit) continue;
+                    if (ast.kind === inner && kept.has(keyOf(this.negate(operand)))) return { kind: unit };
+                    if (!kept.has(keyOf(operand))) kept.set(keyOf(operand), operand);
+                }
+                return this.connect(ast.kind, [...kept.values()]);
+            }
+            case 'ForAll':
+            case 'Exists':
+                return { kind: ast.kind, variable: ast.variable, body: this.simplifyProducts(ast.body, outer, inner) };
+            default:
+                return ast;
+        }
+    }
+
+    // ¬A for a literal A, without a double negation
+    negate(literal) {
+        return literal.kind === 'Not' ? literal.child : { kind: 'Not', child: literal };
+    }
+
+    // Binding strength, loosest first, in the order parseIff … parseUnary apply them.
+    // Atoms, negations and quantifiers bind tightest.
+    precedence(node) {
+        switch (node.kind) {
+            case 'Iff':
+                return 1;
+            case 'Implies':
+            case 'ReverseImplies':
+                return 2;
+            case 'Xor':
+                return 3;
+            case 'Or':
+            case 'Nor':
+                return 4;
+            case 'And':
+            case 'Nand':
+                return 5;
+            default:
+                return 6;
+        }
+    }
+
+    // Parenthesize node when it binds looser than level. Binary connectives pass one more
+    // than their own precedence, so equal levels (A → B) → C keep their parentheses too.
+    toLatexOperand(node, level) {
+        const latex = this.toLatex(node);
+        return this.precedence(node) < level ? `(${latex})` : latex;
+    }
+
+    // A body starting with a term is parenthesized, so ∀x (y = x) does not read like a
+    // list of bound variables
+    toLatexQuantifier(symbol, node) {
+        const body = node.body;
+        const latex = this.startsWithTerm(body) ? `(${this.toLatex(body)})` : this.toLatexOperand(body, 6);
+        return `${symbol} ${node.variable}\\, ${latex}`;
+    }
+
+    // Equalities and relations are written term first, s = t or x \in A
+    startsWithTerm(node) {
+        return node.kind === 'Equals' || node.kind === 'NotEquals' || this.isRelation(node);
+    }
+
+    // ¬ in front of the LaTeX of an atom. Equalities and relations are written term first
+    // and get parentheses, as toLatex gives them; terms never hold these symbols.
+    negateAtom(latex) {
+        return /\s(=|\\neq|\\in|<|>|\\leq|\\geq)\s/.test(latex) ? `\\lnot (${latex})` : `\\lnot ${latex}`;
+    }
+
+    isRelation(node) {
+        return node.kind === 'Predicate' && ['\\in', '<', '>', '\\leq', '\\geq'].includes(node.name) && node.args.length === 2;
+    }
+
+    // Convert AST back to LaTeX, with only the parentheses the parser needs to read it back
+    toLatex(node) {
+        const binary = symbol => {
+            const level = this.precedence(node) + 1;
+            return `${this.toLatexOperand(node.left, level)} ${symbol} ${this.toLatexOperand(node.right, level)}`;
+        };
+        switch (node.kind) {
+            case 'ForAll':
+                return this.toLatexQuantifier('\\forall', node);
+            case 'Exists':
+                return this.toLatexQuantifier('\\exists', node);
+            case 'Not':
+                // \lnot x = y would read as if only x were negated
+                return this.startsWithTerm(node.child)
+                    ? `\\lnot (${this.toLatex(node.child)})`
+                    : `\\lnot ${this.toLatexOperand(node.child, 6)}`;
+            case 'And':
+            case 'Or': {
+                const level = this.precedence(node) + 1;
+                return node.operands
+                    .map(operand => this.toLatexOperand(operand, level))
+                    .join(node.kind === 'And' ? ' \\land ' : ' \\lor ');
+            }
+            case 'Implies':
+                return binary('\\to');
+            case 'Iff':
+                return binary('\\leftrightarrow');
+            case 'ReverseImplies':
+                return binary('\\leftarrow');
+            case 'Xor':
+                return binary('\\oplus');
+            case 'Nand':
+                return binary('\\uparrow');
+            case 'Nor':
+                return binary('\\downarrow');
+            case 'Predicate':
+                if (this.isRelation(node)) {
+                    return `${this.toLatex(node.args[0])} ${node.name} ${this.toLatex(node.args[1])}`;
+                }
+                return node.args && node.args.length > 0 
+                    ? `${node.name}(${node.args.map(arg => this.toLatex(arg)).join(', ')})`
+                    : node.name;
+            case 'Top':
+                return '\\top';
+            case 'Bottom':
+                return '\\bot';
+            case 'Equals':
+                return `${this.toLatex(node.left)} = ${this.toLatex(node.right)}`;
+            case 'NotEquals':
+                return `${this.toLatex(node.left)} \\neq ${this.toLatex(node.right)}`;
+            case 'Function':
+                return `${node.name}(${node.args.map(arg => this.toLatex(arg)).join(', ')})`;
+            case 'Constant':
+            case 'Variable':
+                return node.name;
+            default:
+                return 'unknown';
+        }
+    }
+}
+
+// A named rewrite over the AST. The pipeline records step with the new formula when the
+// pass changed it (or every time, with always); passes that show several steps, like
+// prenex conversion or Skolemization, record them through the pipeline themselves.
+class RewritePass {
+    constructor(name, transform, step = null, always = false) {
+        this.name = name;
+        this.transform = transform;
+        this.step = step;
+        this.always = always;
+    }
+
+    static eliminateExtraConnectives() {
+        return new RewritePass('extra-connectives',
+            (ast, pipeline) => pipeline.parser.eliminateExtraConnectives(ast),
+            "Eliminate XOR, NAND, NOR and reverse implication:");
+    }
+
+    static eliminateImplications(always = true) {
+        return new RewritePass('implications',
+            (ast, pipeline) => pipeline.parser.eliminateImplications(ast),
+            "Eliminate implications:", always);
+    }
+
+    static simplifyConstants() {
+        return new RewritePass('constants',
+            (ast, pipeline) => pipeline.parser.simplifyConstants(ast),
+            "Simplify truth constants:");
+    }
+
+    // One step for the whole rewrite, or one step per law when traced
+    static negationNormalForm(traced = false) {
+        if (!traced) {
+            return new RewritePass('nnf',
+                (ast, pipeline) => pipeline.parser.toNegationNormalForm(ast),
+                "Apply De Morgan's laws:");
+        }
+        return new RewritePass('nnf', (ast, pipeline) => pipeline.parser.toNegationNormalForm(ast, (rewrite, current) => {
+            pipeline.record(`${rewrite.name} $${rewrite.rule}$ on $${pipeline.parser.toLatex(rewrite.redex)}$:`, current);
+        }));
+    }
+
+    static prenex(strategy) {
+        return new RewritePass('prenex', (ast, pipeline) => {
+            const prenexConverter = new PrenexConverter(strategy);
+            const prenexForm = prenexConverter.convertToPrenex(ast);
+            pipeline.recordIfChanged("Standardize variables apart:", ast, prenexConverter.standardized);
+            pipeline.recordIfChanged("Convert to Prenex form:", prenexConverter.standardized, prenexForm);
+            return prenexForm;
+        });
+    }
+
+    // Expects prenex NNF; one step per replaced existential
+    static skolemize(skolemConverter = new SkolemConverter()) {
+        return new RewritePass('skolemize', (ast, pipeline) => {
+            const skolemized = skolemConverter.skolemize(ast);
+            for (const replacement of skolemized.replacements) {
+                pipeline.record(skolemConverter.describeReplacement(replacement), replacement.formula);
+            }
+            return skolemized.ast;
+        });
+    }
+
+    static dropUniversals() {
+        return new RewritePass('drop-universals',
+            ast => new SkolemConverter().dropUniversals(ast),
+            "Drop universal quantifiers:");
+    }
+
+    // See LogicParser.distribute for which connective ends up on top. With simplify the
+    // products are cleaned up after every round, so they cannot pile up; each round and each
+    // clean-up is its own step. Without it the formula is distributed in one go, as it is.
+    static distribute(outer, inner, step, simplify = false) {
+        if (!simplify) {
+            return new RewritePass(`distribute-${outer.toLowerCase()}`,
+                (ast, pipeline) => pipeline.parser.distribute(ast, outer, inner),
+                step);
+        }
+        const simplifyStep = outer === 'And'
+            ? "Merge repeated literals ($A \\lor A \\equiv A$), drop tautologies ($A \\lor \\lnot A \\equiv \\top$) and repeated clauses:"
+            : "Merge repeated literals ($A \\land A \\equiv A$), drop contradictions ($A \\land \\lnot A \\equiv \\bot$) and repeated terms:";
+        return new RewritePass(`distribute-${outer.toLowerCase()}`, (ast, pipeline) => {
+            const parser = pipeline.parser;
+            let current = ast;
+            for (;;) {
+                const distributed = parser.distributeInnermost(current, outer, inner);
+                if (distributed === current) return current;
+                current = parser.flatten(distributed);
+                pipeline.record(step, current);
+                
+                const simplified = parser.simplifyProducts(current, outer, inner);
+                pipeline.recordIfChanged(simplifyStep, current, simplified);
+                current = simplified;
+            }
+        });
+    }
+}
+
+// Runs a declared list of passes in order, adding their steps to the parser's steps.
+// And/Or are flattened before the first pass and after each one, so every pass sees n-ary
+// nodes and no step shows a conjunction nested in a conjunction.
+class ConversionPipeline {
+    constructor(parser, passes) {
+        this.parser = parser;
+        this.passes = passes;
+    }
+
+    run(ast) {
+        let current = this.parser.flatten(ast);
+        for (const pass of this.passes) {
+            const next = this.parser.flatten(pass.transform(current, this));
+            if (pass.step && (pass.always || this.changed(current, next))) {
+                this.record(pass.step, next);
+            }
+            current = next;
+        }
+        return current;
+    }
+
+    record(description, ast) {
+        this.parser.addStep(description, this.parser.toLatex(ast));
+    }
+
+    recordIfChanged(description, before, after) {
+        if (this.changed(before, after)) this.record(description, after);
+    }
+
+    changed(before, after) {
+        return this.parser.toLatex(before) !== this.parser.toLatex(after);
+    }
+}
+
+class CNFConverter {
+    constructor(prenexStrategy = 'exists-first', mode = 'standard') {
+        this.parser = new LogicParser();
+        this.prenexStrategy = prenexStrategy;
+        // 'standard', 'canonical' (product of maxterms), 'minimal' (Quine–McCluskey) or
+        // 'tseitin' (equisatisfiable, linear size); canonical and minimal are propositional only
+        this.mode = mode;
+    }
+
+    convert(input) {
+        this.parser.stepCounter = 1;
+        this.parser.steps = [];
+
+        // Step 1: Show original formula
+        let formula = this.parser.cleanInput(input);
+        this.parser.addStep("Original formula:", formula);
+
+        try {
+            // Normalize and parse
+            const normalized = this.parser.normalizeInput(formula);
+            const tokens = this.parser.tokenize(normalized);
+            const parsed = this.parser.parse(tokens);
+            
+            // Tseitin defines every connective directly, so it starts from the parsed formula:
+            // rewriting ↔ and ⊕ first would copy their operands and lose the linear size
+            if (this.mode === 'tseitin') {
+                const tseitin = this.convertTseitin(parsed);
+                if (tseitin) return tseitin;
+            }
+            
+            // Rewrite the derived connectives with ∧, ∨ and ¬
+            const ast = new ConversionPipeline(this.parser, [RewritePass.eliminateExtraConnectives()]).run(parsed);
+            
+            if (this.mode === 'canonical') {
+                const canonical = this.convertCanonical(ast);
+                if (canonical) return canonical;
+            }
+            
+            if (this.mode === 'minimal') {
+                const minimal = this.convertMinimal(ast);
+                if (minimal) return minimal;
+            }
+            
+            const distributed = new ConversionPipeline(this.parser, this.passes()).run(ast);
+            
+            if (distributed.kind === 'Top') {
+                this.parser.addStep("Empty clause set: the formula is valid, its CNF has no clauses:", "\\top");
+            } else if (distributed.kind === 'Bottom') {
+                this.parser.addStep("Empty clause: the formula is unsatisfiable:", "\\bot");
+            }
+            
+            // Final result
+            const result = this.parser.toLatex(distributed);
+            this.parser.addStep("CNF Result:", result);
+            
+            return {
+                steps: this.parser.steps,
+                result: result
+            };
+        } catch (error) {
+            console.error("Error in CNF conversion:", error);
+            this.parser.addErrorStep(error);
+            return {
+                steps: this.parser.steps,
+                result: "Error"
+            };
+        }
+    }
+
+    // The standard conversion: implications out, constants folded, negations pushed to the
+    // atoms, quantifiers to the front, then ∨ distributed over ∧
+    passes() {
+        return [
+            RewritePass.eliminateImplications(),
+            RewritePass.simplifyConstants(),
+            RewritePass.negationNormalForm(),
+            RewritePass.prenex(this.prenexStrategy),
+            RewritePass.distribute('And', 'Or', "Distribute AND over OR:", true)
+        ];
+    }
+    
+    // Full CNF: one clause per maxterm, i.e. per assignment that makes the formula false.
+    // Returns null (after a note) when the formula does not allow it.
+    convertCanonical(ast) {
+        const truthTable = new TruthTableGenerator();
+        if (!truthTable.isPropositional(ast)) {
+            this.parser.addStep("Full CNF needs a propositional formula, using the standard conversion instead", "");
+            return null;
+        }
+        const atoms = truthTable.collectAtoms(ast, []).sort();
+        if (atoms.length > truthTable.maxAtoms) {
+            this.parser.addStep(`Full CNF is limited to ${truthTable.maxAtoms} atoms, using the standard conversion instead`, "");
+            return null;
+        }
+        
+        const { maxterms } = truthTable.classifyAssignments(ast, atoms);
+        
+        let result;
+        if (maxterms.length === 0) {
+            this.parser.addStep("No maxterms: the formula is valid, its full CNF is the empty product:", "\\top");
+            result = "\\top";
+        } else {
+            this.parser.addStep(`Maxterms over ${atoms.join(', ')} (assignments that make the formula false):`, `\\prod M(${maxterms.join(', ')})`);
+            
+            // M_i is false exactly at assignment i, so an atom set to 1 there appears negated
+            const clauses = maxterms.map(index => {
+                const assignment = truthTable.assignmentForIndex(index, atoms);
+                return this.parser.connect('Or', atoms.map(name => {
+                    const atom = { kind: 'Predicate', name, args: [] };
+                    return assignment[name] ? { kind: 'Not', child: atom } : atom;
+                }));
+            });
+            this.parser.addStep("Maxterm clauses:", clauses.map((clause, i) => `M_{${maxterms[i]}} = ${this.parser.toLatex(clause)}`).join(',\\; '));
+            
+            const fullCNF = this.parser.connect('And', clauses);
+            result = this.parser.toLatex(fullCNF);
+            this.parser.addStep("Full CNF (product of maxterms):", result);
+        }
+        
+        this.parser.addStep("CNF Result:", result);
+        
+        return {
+            steps: this.parser.steps,
+            result: result,
+            maxterms: maxterms
+        };
+    }
+
+    // Minimal CNF: prime implicants of the negated formula (built from the maxterms), a minimal
+    // cover chosen with Petrick's method, and each implicant turned into a clause.
+    convertMinimal(ast) {
+        const truthTable = new TruthTableGenerator();
+        if (!truthTable.isPropositional(ast)) {
+            this.parser.addStep("Minimal CNF needs a propositional formula, using the standard conversion instead", "");
+            return null;
+        }
+        const atoms = truthTable.collectAtoms(ast, []).sort();
+        if (atoms.length > truthTable.maxAtoms) {
+            this.parser.addStep(`Minimal CNF is limited to ${truthTable.maxAtoms} atoms, using the standard conversion instead`, "");
+            return null;
+        }
+        
+        const { maxterms } = truthTable.classifyAssignments(ast, atoms);
+        
+        let result;
+        if (maxterms.length === 0) {
+            this.parser.addStep("No maxterms: the formula is valid, its minimal CNF is the empty product:", "\\top");
+            result = "\\top";
+        } else {
+            this.parser.addStep(`Maxterms over ${atoms.join(', ')}:`, `\\prod M(${maxterms.join(', ')})`);
+            
+            const minimizer = new QuineMcCluskeyMinimizer();
+            const minimized = minimizer.minimize(maxterms, atoms);
+            this.parser.addStep("Prime implicates (Quine–McCluskey on the maxterms):", minimizer.describePrimes(minimized.primes, atoms, 'cnf'));
+            this.parser.addStep("Prime implicate table:", minimizer.primeTableLatex(minimized.primes, maxterms, 'M'));
+            this.parser.addStep("Essential prime implicates:", minimized.essentials.length > 0 ? minimizer.describeCover(minimized.essentials) : "\\emptyset");
+            if (minimized.petrick) {
+                this.parser.addStep(`Petrick's method for the maxterms left uncovered (${minimized.remaining.join(', ')}):`, minimizer.describePetrick(minimized.petrick));
+            }
+            this.parser.addStep("Chosen cover:", minimizer.describeCover(minimized.cover));
+            
+            const minimalCNF = this.parser.connect('And', minimized.cover
+                .map(i => minimizer.implicantToAst(minimized.primes[i].pattern, atoms, 'cnf')));
+            result = this.parser.toLatex(minimalCNF);
+            this.parser.addStep("Minimal CNF:", result);
+        }
+        
+        this.parser.addStep("CNF Result:", result);
+        
+        return {
+            steps: this.parser.steps,
+            result: result,
+            maxterms: maxterms
+        };
+    }
+
+    // Tseitin transformation: every compound subformula gets a fresh atom p_i with clauses for
+    // p_i ↔ subformula. The result grows linearly but is only equisatisfiable with the input.
+    convertTseitin(ast) {
+        if (this.hasQuantifiers(ast)) {
+            this.parser.addStep("The Tseitin transformation needs a quantifier-free formula, using the standard conversion instead", "");
+            return null;
+        }
+        
+        const simplified = new ConversionPipeline(this.parser, [RewritePass.simplifyConstants()]).run(ast);
+        
+        let result;
+        if (simplified.kind === 'Top' || simplified.kind === 'Bottom') {
+            result = this.parser.toLatex(simplified);
+        } else {
+            this.usedNames = this.parser.collectNames(simplified);
+            this.tseitinCounter = 0;
+            this.definitions = [];
+            
+            const root = this.tseitinEncode(simplified);
+            for (const definition of this.definitions) {
+                this.parser.addStep(
+                    `Define $${this.parser.toLatex(definition.atom)} \\leftrightarrow ${this.parser.toLatexOperand(definition.formula, 2)}$:`,
+                    this.clausesToLatex(definition.clauses)
+                );
+            }
+            
+            const clauses = [[root], ...this.definitions.flatMap(definition => definition.clauses)];
+            result = this.clausesToLatex(clauses);
+            if (this.definitions.length > 0) {
+                this.parser.addStep("Assert the top-level atom:", this.parser.toLatex(root));
+                this.parser.addStep("Note: this CNF is equisatisfiable with the input, not equivalent to it (it mentions the new atoms)", "");
+            }
+        }
+        
+        this.parser.addStep("CNF Result:", result);
+        
+        return {
+            steps: this.parser.steps,
+            result: result
+        };
+    }
+
+    // Returns a literal standing for the subformula, recording definitions on the way
+    tseitinEncode(ast) {
+        if (this.isLiteral(ast)) return ast;
+        
+        if (ast.kind === 'Not') {
+            const a = this.tseitinEncode(ast.child);
+            const atom = this.freshTseitinAtom();
+            this.definitions.push({
+                atom: atom,
+                formula: { kind: 'Not', child: a },
+                clauses: [
+                    [this.negateLiteral(atom), this.negateLiteral(a)],
+                    [atom, a]
+                ]
+            });
+            return atom;
+        }
+        
+        if (ast.left && ast.right) {
+            const a = this.tseitinEncode(ast.left);
+            const b = this.tseitinEncode(ast.right);
+            const atom = this.freshTseitinAtom();
+            this.definitions.push({
+                atom: atom,
+                formula: { kind: ast.kind, left: a, right: b },
+                clauses: this.binaryDefinition(ast.kind, atom, a, b)
+            });
+            return atom;
+        }
+        
+        // p ↔ a_1 ∧ … ∧ a_n gives ¬p ∨ a_i for each i and p ∨ ¬a_1 ∨ … ∨ ¬a_n; ∨ is the dual
+        const operands = ast.operands.map(operand => this.tseitinEncode(operand));
+        const atom = this.freshTseitinAtom();
+        const negated = operands.map(operand => this.negateLiteral(operand));
+        const clauses = ast.kind === 'And'
+            ? [...operands.map(operand => [this.negateLiteral(atom), operand]), [atom, ...negated]]
+            : [[this.negateLiteral(atom), ...operands], ...negated.map(operand => [atom, operand])];
+        this.definitions.push({
+            atom: atom,
+            formula: { kind: ast.kind, operands: operands },
+            clauses: clauses
+        });
+        return atom;
+    }
+
+    // Clauses for p ↔ (a ∘ b), one per row of the truth table of ∘ that they rule out
+    binaryDefinition(kind, p, a, b) {
+        const not = literal => this.negateLiteral(literal);
+        switch (kind) {
+            case 'Implies':
+                return [[not(p), not(a), b], [p, a], [p, not(b)]];
+            case 'ReverseImplies':
+                return [[not(p), a, not(b)], [p, not(a)], [p, b]];
+            case 'Iff':
+                return [[not(p), not(a), b], [not(p), a, not(b)], [p, a, b], [p, not(a), not(b)]];
+            case 'Xor':
+                return [[not(p), a, b], [not(p), not(a), not(b)], [p, not(a), b], [p, a, not(b)]];
+            case 'Nand':
+                return [[not(p), not(a), not(b)], [p, a], [p, b]];
+            case 'Nor':
+                return [[not(p), not(a)], [not(p), not(b)], [p, a, b]];
+            default:
+                throw new Error(`No Tseitin definition for ${kind}`);
+        }
+    }
+
+    freshTseitinAtom() {
+        let name;
+        do {
+            this.tseitinCounter++;
+            name = `p_${this.tseitinCounter}`;
+        } while (this.usedNames.has(name));
+        this.usedNames.add(name);
+        return { kind: 'Predicate', name, args: [] };
+    }
+
+    isLiteral(ast) {
+        const atomic = node => node.kind === 'Predicate' || node.kind === 'Equals' || node.kind === 'NotEquals';
+        return atomic(ast) || (ast.kind === 'Not' && atomic(ast.child));
+    }
+
+    negateLiteral(literal) {
+        return literal.kind === 'Not' ? literal.child : { kind: 'Not', child: literal };
+    }
+
+    clausesToLatex(clauses) {
+        return this.parser.toLatex(this.parser.connect('And', clauses.map(clause => this.parser.connect('Or', clause))));
+    }
+
+    hasQuantifiers(ast) {
+        if (ast.kind === 'ForAll' || ast.kind === 'Exists') return true;
+        if (ast.kind === 'Not') return this.hasQuantifiers(ast.child);
+        if (ast.operands) return ast.operands.some(operand => this.hasQuantifiers(operand));
+        if (ast.left && ast.right && ast.kind !== 'Equals' && ast.kind !== 'NotEquals') {
+            return this.hasQuantifiers(ast.left) || this.hasQuantifiers(ast.right);
+        }
+        return false;
+    }
+}
+
+class DNFConverter {
+    constructor(prenexStrategy = 'exists-first', mode = 'standard') {
+        this.parser = new LogicParser();
+        this.prenexStrategy = prenexStrategy;
+        // 'standard', 'canonical' (sum of minterms) or 'minimal' (Quine–McCluskey);
+        // the last two only apply to propositional formulas
+        this.mode = mode;
+    }
+
+    convert(input) {
+        this.parser.stepCounter = 1;
+        this.parser.steps = [];
+
+        // Step 1: Show original formula
+        let formula = this.parser.cleanInput(input);
+        this.parser.addStep("Original formula:", formula);
+
+        try {
+            // Normalize and parse
+            const normalized = this.parser.normalizeInput(formula);
+            const tokens = this.parser.tokenize(normalized);
+            const parsed = this.parser.parse(tokens);
+            
+            // Rewrite the derived connectives with ∧, ∨ and ¬
+            const ast = new ConversionPipeline(this.parser, [RewritePass.eliminateExtraConnectives()]).run(parsed);
+            
+            if (this.mode === 'canonical') {
+                const canonical = this.convertCanonical(ast);
+                if (canonical) return canonical;
+            }
+            
+            if (this.mode === 'minimal') {
+                const minimal = this.convertMinimal(ast);
+                if (minimal) return minimal;
+            }
+            
+            const distributed = new ConversionPipeline(this.parser, this.passes()).run(ast);
+            
+            if (distributed.kind === 'Top') {
+                this.parser.addStep("Empty conjunction: the formula is valid, its DNF is a single empty term:", "\\top");
+            } else if (distributed.kind === 'Bottom') {
+                this.parser.addStep("Empty disjunction: the formula is unsatisfiable, its DNF has no terms:", "\\bot");
+            }
+            
+            // Final result
+            const result = this.parser.toLatex(distributed);
+            this.parser.addStep("DNF Result:", result);
+            
+            return {
+                steps: this.parser.steps,
+                result: result
+            };
+        } catch (error) {
+            console.error("Error in DNF conversion:", error);
+            this.parser.addErrorStep(error);
+            return {
+                steps: this.parser.steps,
+                result: "Error"
+            };
+        }
+    }
+
+    // Same passes as the standard CNF conversion, distributing ∧ over ∨ at the end
+    passes() {
+        return [
+            RewritePass.eliminateImplications(),
+            RewritePass.simplifyConstants(),
+            RewritePass.negationNormalForm(),
+            RewritePass.prenex(this.prenexStrategy),
+            RewritePass.distribute('Or', 'And', "Distribute OR over AND:", true)
+        ];
+    }
+
+    // Full DNF: one conjunction per minterm, i.e. per assignment that makes the formula true.
+    // Returns null (after a note) when the formula does not allow it.
+    convertCanonical(ast) {
+        const truthTable = new TruthTableGenerator();
+        if (!truthTable.isPropositional(ast)) {
+            this.parser.addStep("Full DNF needs a propositional formula, using the standard conversion instead", "");
+            return null;
+        }
+        const atoms = truthTable.collectAtoms(ast, []).sort();
+        if (atoms.length > truthTable.maxAtoms) {
+            this.parser.addStep(`Full DNF is limited to ${truthTable.maxAtoms} atoms, using the standard conversion instead`, "");
+            return null;
+        }
+        
+        const { minterms } = truthTable.classifyAssignments(ast, atoms);
+        
+        let result;
+        if (minterms.length === 0) {
+            this.parser.addStep("No minterms: the formula is unsatisfiable, its full DNF is the empty sum:", "\\bot");
+            result = "\\bot";
+        } else {
+            this.parser.addStep(`Minterms over ${atoms.join(', ')} (assignments that make the formula true):`, `\\sum m(${minterms.join(', ')})`);
+            
+            // m_i is true exactly at assignment i, so an atom set to 0 there appears negated
+            const terms = minterms.map(index => {
+                const assignment = truthTable.assignmentForIndex(index, atoms);
+                return this.parser.connect('And', atoms.map(name => {
+                    const atom = { kind: 'Predicate', name, args: [] };
+                    return assignment[name] ? atom : { kind: 'Not', child: atom };
+                }));
+            });
+            this.parser.addStep("Minterm conjunctions:", terms.map((term, i) => `m_{${minterms[i]}} = ${this.parser.toLatex(term)}`).join(',\\; '));
+            
+            const fullDNF = this.parser.connect('Or', terms);
+            result = this.parser.toLatex(fullDNF);
+            this.parser.addStep("Full DNF (sum of minterms):", result);
+        }
+        
+        this.parser.addStep("DNF Result:", result);
+        
+        return {
+            steps: this.parser.steps,
+            result: result,
+            minterms: minterms
+        };
+    }
+
+    // Minimal DNF: prime implicants of the minterms (Quine–McCluskey) and a minimal cover
+    // chosen with Petrick's method.
+    convertMinimal(ast) {
+        const truthTable = new TruthTableGenerator();
+        if (!truthTable.isPropositional(ast)) {
+            this.parser.addStep("Minimal DNF needs a propositional formula, using the standard conversion instead", "");
+            return null;
+        }
+        const atoms = truthTable.collectAtoms(ast, []).sort();
+        if (atoms.length > truthTable.maxAtoms) {
+            this.parser.addStep(`Minimal DNF is limited to ${truthTable.maxAtoms} atoms, using the standard conversion instead`, "");
+            return null;
+        }
+        
+        const { minterms } = truthTable.classifyAssignments(ast, atoms);
+        
+        let result;
+        if (minterms.length === 0) {
+            this.parser.addStep("No minterms: the formula is unsatisfiable, its minimal DNF is the empty sum:", "\\bot");
+            result = "\\bot";
+        } else {
+            this.parser.addStep(`Minterms over ${atoms.join(', ')}:`, `\\sum m(${minterms.join(', ')})`);
+            
+            const minimizer = new QuineMcCluskeyMinimizer();
+            const minimized = minimizer.minimize(minterms, atoms);
+            this.parser.addStep("Prime implicants (Quine–McCluskey):", minimizer.describePrimes(minimized.primes, atoms, 'dnf'));
+            this.parser.addStep("Prime implicant table:", minimizer.primeTableLatex(minimized.primes, minterms, 'm'));
+            this.parser.addStep("Essential prime implicants:", minimized.essentials.length > 0 ? minimizer.describeCover(minimized.essentials) : "\\emptyset");
+            if (minimized.petrick) {
+                this.parser.addStep(`Petrick's method for the minterms left uncovered (${minimized.remaining.join(', ')}):`, minimizer.describePetrick(minimized.petrick));
+            }
+            this.parser.addStep("Chosen cover:", minimizer.describeCover(minimized.cover));
+            
+            const minimalDNF = this.parser.connect('Or', minimized.cover
+                .map(i => minimizer.implicantToAst(minimized.primes[i].pattern, atoms, 'dnf')));
+            result = this.parser.toLatex(minimalDNF);
+            this.parser.addStep("Minimal DNF:", result);
+        }
+        
+        this.parser.addStep("DNF Result:", result);
+        
+        return {
+            steps: this.parser.steps,
+            result: result,
+            minterms: minterms
+        };
+    }
+}
+
+
+class ClausalConverter {
+    constructor(prenexStrategy = 'exists-first') {
+        this.parser = new LogicParser();
+        this.prenexStrategy = prenexStrategy;
+    }
+
+    convert(input) {
+        this.parser.stepCounter = 1;
+        this.parser.steps = [];
+
+        // Step 1: Show original formula
+        let formula = this.parser.cleanInput(input);
+        this.parser.addStep("Original formula:", formula);
+
+        try {
+            // Normalize and parse
+            const normalized = this.parser.normalizeInput(formula);
+            const tokens = this.parser.tokenize(normalized);
+            const parsed = this.parser.parse(tokens);
+            
+            // Rewrite the derived connectives with ∧, ∨ and ¬
+            const ast = new ConversionPipeline(this.parser, [RewritePass.eliminateExtraConnectives()]).run(parsed);
+            
+            const distributed = new ConversionPipeline(this.parser, this.passes()).run(ast);
+            
+            // Extract clauses
+            const extracted = this.extractClauses(distributed);
+            this.parser.addStep("Extract clauses:", this.formatAsClauses(extracted));
+            
+            // Simplify the clause set
+            const clauses = this.simplifyClauses(extracted);
+            const clausalForm = this.formatAsClauses(clauses);
+            if (clausalForm !== this.formatAsClauses(extracted)) {
+                this.parser.addStep("Simplified clause set:", clausalForm);
+            }
+            if (clauses.length === 0) {
+                this.parser.addStep("Empty clause set: the formula is valid:", "\\{\\}");
+            } else if (clauses.some(clause => clause.length === 0)) {
+                this.parser.addStep("Empty clause: the formula is unsatisfiable:", "\\{\\square\\}");
+            }
+            
+            return {
+                steps: this.parser.steps,
+                result: clausalForm,
+                clauses: clauses
+            };
+        } catch (error) {
+            console.error("Error in Clausal conversion:", error);
+            this.parser.addErrorStep(error);
+            return {
+                steps: this.parser.steps,
+                result: "Error",
+                clauses: []
+            };
+        }
+    }
+
+    // CNF with the quantifiers removed: Skolemize the prenex form and drop the universals
+    // before distributing
+    passes() {
+        return [
+            RewritePass.eliminateImplications(),
+            RewritePass.simplifyConstants(),
+            RewritePass.negationNormalForm(),
+            RewritePass.prenex(this.prenexStrategy),
+            RewritePass.skolemize(),
+            RewritePass.dropUniversals(),
+            RewritePass.distribute('And', 'Or', "Convert to CNF:", true)
+        ];
+    }
+
+    extractClauses(ast) {
+        const clauses = [];
+        
+        // ⊤ is the empty clause set, ⊥ is the set holding only the empty clause
+        if (ast.kind === 'Top') return clauses;
+        
+        if (ast.kind === 'And') {
+            for (const operand of ast.operands) clauses.push(...this.extractClauses(operand));
+        } else {
+            // position keeps the order the literals were written in; simplifyClauses sorts them
+            clauses.push(this.extractLiterals(ast).map((literal, position) => ({ ...literal, position })));
+        }
+        
+        return clauses;
+    }
+
+    extractLiterals(ast) {
+        const literals = [];
+        
+        if (ast.kind === 'Or') {
+            for (const operand of ast.operands) literals.push(...this.extractLiterals(operand));
+        } else if (ast.kind === 'Bottom') {
+            return literals;
+        } else if (ast.kind === 'Not') {
+            literals.push({ negated: true, formula: this.parser.toLatex(ast.child), atom: ast.child });
+        } else if (ast.kind === 'NotEquals') {
+            // s ≠ t is the negated equality literal ¬(s = t)
+            const atom = { kind: 'Equals', left: ast.left, right: ast.right };
+            literals.push({ negated: true, formula: this.parser.toLatex(atom), atom: atom });
+        } else {
+            literals.push({ negated: false, formula: this.parser.toLatex(ast), atom: ast });
+        }
+        
+        return literals;
+    }
+
+    // Merge duplicate literals, sort literals, then drop tautologies, repeated and subsumed clauses.
+    // Every change is recorded as its own step with the reason.
+    simplifyClauses(clauses) {
+        const describe = clause => `$${this.formatAsClauses([clause])}$`;
+        
+        let sortedChanged = false;
+        const normalized = clauses.map(clause => {
+            const merged = [];
+            for (const literal of clause) {
+                if (!merged.some(other => this.sameLiteral(other, literal))) {
+                    merged.push(literal);
+                }
+            }
+            if (merged.length < clause.length) {
+                this.parser.addStep(`Merge duplicate literals in ${describe(clause)}:`, this.formatAsClauses([merged]));
+            }
+            
+            const sorted = [...merged].sort((a, b) => this.compareLiterals(a, b));
+            if (sorted.some((literal, i) => literal !== merged[i])) sortedChanged = true;
+            return sorted;
+        });
+        if (sortedChanged) {
+            this.parser.addStep("Sort literals into canonical order:", this.formatAsClauses(normalized));
+        }
+        
+        const withoutTautologies = normalized.filter(clause => {
+            const complementary = clause.find(literal =>
+                clause.some(other => other.formula === literal.formula && other.negated !== literal.negated)
+            );
+            if (complementary) {
+                this.parser.addStep(`Remove ${describe(clause)}: tautology, it contains both $${complementary.formula}$ and $${this.parser.negateAtom(complementary.formula)}$`, "");
+                return false;
+            }
+            return true;
+        });
+        
+        const kept = [];
+        withoutTautologies.forEach((clause, i) => {
+            const subsumer = withoutTautologies.find((other, j) => {
+                if (j === i || !this.subsumes(other, clause)) return false;
+                // Of two equal clauses keep the first one
+                return other.length < clause.length || j < i;
+            });
+            if (!subsumer) {
+                kept.push(clause);
+            } else if (subsumer.length === clause.length) {
+                this.parser.addStep(`Remove ${describe(clause)}: duplicate clause`, "");
+            } else {
+                this.parser.addStep(`Remove ${describe(clause)}: subsumed by ${describe(subsumer)}`, "");
+            }
+        });
+        
+        return kept;
+    }
+
+    sameLiteral(a, b) {
+        return a.negated === b.negated && a.formula === b.formula;
+    }
+
+    // Alphabetical by atom, the positive literal before the negative one
+    compareLiterals(a, b) {
+        if (a.formula !== b.formula) return a.formula < b.formula ? -1 : 1;
+        return (a.negated ? 1 : 0) - (b.negated ? 1 : 0);
+    }
+
+    // C subsumes D when every literal of C is in D
+    subsumes(clause, other) {
+        return clause.every(literal => other.some(candidate => this.sameLiteral(candidate, literal)));
+    }
+
+    formatAsClauses(clauses) {
+        if (clauses.length === 0) return "\\top";
+        
+        return clauses.map(clause => {
+            if (clause.length === 0) return "\\square";
+            const literals = clause.map(literal => 
+                literal.negated ? this.parser.negateAtom(literal.formula) : literal.formula
+            ).join(' \\lor ');
+
+            // As in toLatex, a clause only needs parentheses next to another clause
+            return clause.length > 1 && clauses.length > 1 ? `(${literals})` : literals;
+        }).join(' \\land ');
+    }
+
+    // DIMACS CNF for external SAT solvers; "c var" comment lines record which atom each variable is.
+    // Every distinct atom text becomes its own variable, so P(x) and P(a) could not be kept apart.
+    toDimacs(clauses) {
+        const solver = new DPLLSolver();
+        if (clauses.some(clause => clause.some(literal => literal.atom && solver.containsVariables(literal.atom)))) {
+            throw new Error("The clause set has variables; only propositional or ground clauses can be exported");
+        }
+        
+        const atoms = [...new Set(clauses.flatMap(clause => clause.map(literal => literal.formula)))];
+        const index = new Map(atoms.map((atom, i) => [atom, i + 1]));
+        
+        const lines = atoms.map((atom, i) => `c var ${i + 1} ${atom}`);
+        lines.push(`p cnf ${atoms.length} ${clauses.length}`);
+        for (const clause of clauses) {
+            const literals = clause.map(literal => (literal.negated ? -1 : 1) * index.get(literal.formula));
+            lines.push([...literals, 0].join(' '));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // Reads DIMACS CNF back into clause lists. Variables named in a "c var <number> <atom>"
+    // comment, as toDimacs writes them, get that atom; the others become p_<number>.
+    // Other comments are ignored, as is a name that is not a single atom.
+    fromDimacs(text) {
+        const names = new Map();
+        const numbers = [];
+        let header = null;
+        
+        for (const [i, rawLine] of text.split(/\r?\n/).entries()) {
+            const line = rawLine.trim();
+            // SATLIB files end with "%" and a stray "0"; nothing after the marker is a clause
+            if (line === '%') break;
+            if (line === '') continue;
+            
+            if (line.startsWith('c')) {
+                const named = line.match(/^c\s+var\s+(\d+)\s+(.+)$/);
+                if (named && this.isAtomText(named[2].trim())) names.set(parseInt(named[1]), named[2].trim());
+                continue;
+            }
+            if (line.startsWith('p')) {
+                const match = line.match(/^p\s+cnf\s+(\d+)\s+(\d+)$/);
+                if (!match) throw new Error(`Line ${i + 1}: expected "p cnf <variables> <clauses>"`);
+                header = { variables: parseInt(match[1]), clauses: parseInt(match[2]) };
+                continue;
+            }
+            if (!header) throw new Error(`Line ${i + 1}: clause before the "p cnf" header`);
+            
+            for (const token of line.split(/\s+/)) {
+                if (!/^-?\d+$/.test(token)) throw new Error(`Line ${i + 1}: "${token}" is not a literal`);
+                const number = parseInt(token);
+                if (Math.abs(number) > header.variables) {
+                    throw new Error(`Line ${i + 1}: variable ${Math.abs(number)} is above the declared ${header.variables}`);
+                }
+                numbers.push(number);
+            }
+        }
+        
+        if (!header) throw new Error('Missing "p cnf" header');
+        
+        const clauses = [];
+        let current = [];
+        for (const number of numbers) {
+            if (number === 0) {
+                clauses.push(current);
+                current = [];
+            } else {
+                current.push(number);
+            }
+        }
+        if (current.length > 0) clauses.push(current);
+        if (clauses.length !== header.clauses) {
+            throw new Error(`The header declares ${header.clauses} clauses but ${clauses.length} were found`);
+        }
+        
+        const nameOf = variable => names.get(variable) || `p_${variable}`;
+        return clauses.map(clause => clause.map(number => ({
+            negated: number < 0,
+            formula: nameOf(Math.abs(number))
+        })));
+    }
+
+    isAtomText(text) {
+        const parser = new LogicParser();
+        try {
+            const ast = parser.parse(parser.tokenize(parser.normalizeInput(text)));
+            return ast.kind === 'Predicate' || ast.kind === 'Equals';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // A LaTeX formula with exactly these clauses, so imported clause sets can be fed to the other tools
+    clausesToFormula(clauses) {
+        if (clauses.length === 0) return "\\top";
+        return clauses.map(clause => {
+            if (clause.length === 0) return "\\bot";
+            return `(${clause.map(literal => literal.negated ? this.parser.negateAtom(literal.formula) : literal.formula).join(' \\lor ')})`;
+        }).join(' \\land ');
+    }
+}
+
+class HornClauseConverter {
+    constructor(prenexStrategy = 'exists-first') {
+        this.parser = new LogicParser();
+        this.prenexStrategy = prenexStrategy;
+    }
+
+    convert(input) {
+        this.parser.stepCounter = 1;
+        this.parser.steps = [];
+
+        // Step 1: Show original formula
+        let formula = this.parser.cleanInput(input);
+        this.parser.addStep("Original formula:", formula);
+
+        try {
+            // Use ClausalConverter to get CNF and clauses
+            const clausalConverter = new ClausalConverter(this.prenexStrategy);
+            const clausalResult = clausalConverter.convert(input);
+            if (clausalResult.result === "Error") {
+                throw this.parser.errorFromSteps(clausalResult.steps);
+            }
+            
+            // Add steps from clausal conversion
+            this.parser.steps = clausalResult.steps;
+            this.parser.stepCounter = this.parser.steps.length + 1;
+            
+            // Analyze Horn clauses
+            const hornAnalysis = this.analyzeHornClauses(clausalResult.clauses);
+            
+            let satisfiability = null;
+            let renaming = null;
+            if (hornAnalysis.isHorn) {
+                this.parser.addStep("Formula is in Horn clause form!", "");
+                hornAnalysis.hornClauses.forEach((clause, i) => {
+                    this.parser.addStep(`(${i + 1}) ${hornAnalysis.labels[i].kind}:`, this.implicationForm(clause));
+                });
+                if (hornAnalysis.hornClauses.length > 0) {
+                    this.parser.addStep("Horn clauses:", hornAnalysis.displayForm);
+                }
+                if (this.isPropositional(hornAnalysis.hornClauses)) {
+                    satisfiability = this.forwardChain(hornAnalysis.hornClauses);
+                }
+            } else {
+                hornAnalysis.hornClauses.forEach((clause, i) => {
+                    const label = hornAnalysis.labels[i];
+                    if (label.kind === 'non-Horn') {
+                        this.parser.addStep(`Clause (${i + 1}) is not Horn, it has ${label.positiveCount} positive literals:`, this.formatClause(clause));
+                    }
+                });
+                this.parser.addStep("Note: Formula is not in Horn form", "");
+                
+                if (hornAnalysis.isDualHorn) {
+                    this.parser.addStep("The formula is dual-Horn: every clause has at most one negative literal", "");
+                } else {
+                    const index = hornAnalysis.labels.findIndex(label => label.negativeCount > 1);
+                    this.parser.addStep(`Not dual-Horn either: clause (${index + 1}) has ${hornAnalysis.labels[index].negativeCount} negative literals`, "");
+                }
+                
+                if (this.isPropositional(hornAnalysis.hornClauses)) {
+                    renaming = this.findHornRenaming(hornAnalysis.hornClauses);
+                }
+            }
+            
+            return {
+                steps: this.parser.steps,
+                result: hornAnalysis.displayForm,
+                isHorn: hornAnalysis.isHorn,
+                isDualHorn: hornAnalysis.isDualHorn,
+                renaming: renaming,
+                hornClauses: hornAnalysis.hornClauses,
+                satisfiability: satisfiability
+            };
+        } catch (error) {
+            console.error("Error in Horn clause conversion:", error);
+            this.parser.addErrorStep(error);
+            return {
+                steps: this.parser.steps,
+                result: "Error",
+                isHorn: false,
+                isDualHorn: false,
+                renaming: null,
+                hornClauses: [],
+                satisfiability: null
+            };
+        }
+    }
+
+    // A clause set is renamable Horn when flipping the polarity of some atoms makes it Horn.
+    // With r_A meaning "flip A", every pair of literals in a clause may not both end up
+    // positive, which is a 2-SAT clause over the r_A; the set is solved through the strongly
+    // connected components of its implication graph.
+    findHornRenaming(clauses) {
+        const atoms = [...new Set(clauses.flatMap(clause => clause.map(literal => literal.formula)))].sort();
+        const index = new Map(atoms.map((atom, i) => [atom, i]));
+        
+        // Node 2i is r_A, node 2i + 1 is ¬r_A; l ends up positive exactly when
+        // (l positive and not flipped) or (l negative and flipped)
+        const endsPositive = literal => 2 * index.get(literal.formula) + (literal.negated ? 0 : 1);
+        const graph = atoms.flatMap(() => [[], []]);
+        for (const clause of clauses) {
+            for (let i = 0; i < clause.length; i++) {
+                for (let j = i + 1; j < clause.length; j++) {
+                    // ¬a ∨ ¬b, i.e. a → ¬b and b → ¬a
+                    const a = endsPositive(clause[i]);
+                    const b = endsPositive(clause[j]);
+                    graph[a].push(b ^ 1);
+                    graph[b].push(a ^ 1);
+                }
+            }
+        }
+        
+        const component = this.stronglyConnectedComponents(graph);
+        const conflict = atoms.find((atom, i) => component[2 * i] === component[2 * i + 1]);
+        if (conflict !== undefined) {
+            this.parser.addStep(`Not renamable Horn: the 2-SAT constraints force both flipping and keeping ${conflict}`, "");
+            return null;
+        }
+        
+        // Components come out in reverse topological order, so a literal is true when its
+        // component was closed before the one of its complement
+        const flipped = atoms.filter((atom, i) => component[2 * i] < component[2 * i + 1]);
+        const renamed = clauses.map(clause => clause.map(literal => flipped.includes(literal.formula)
+            ? { negated: !literal.negated, formula: `\\overline{${literal.formula}}` }
+            : literal));
+        
+        this.parser.addStep("The formula is renamable Horn. Flip the polarity of:", `\\{${flipped.join(', ')}\\}`);
+        this.parser.addStep("Renamed Horn clauses, with $\\overline{A}$ standing for $\\lnot A$:",
+            renamed.map(clause => `(${this.implicationForm(clause)})`).join(' \\land '));
+        return flipped;
+    }
+
+    // Tarjan's algorithm; returns the component number of every node
+    stronglyConnectedComponents(graph) {
+        const component = new Array(graph.length).fill(-1);
+        const order = new Array(graph.length).fill(-1);
+        const low = new Array(graph.length).fill(0);
+        const stack = [];
+        const onStack = new Array(graph.length).fill(false);
+        let counter = 0;
+        let components = 0;
+        
+        const visit = node => {
+            order[node] = low[node] = counter++;
+            stack.push(node);
+            onStack[node] = true;
+            for (const next of graph[node]) {
+                if (order[next] === -1) {
+                    visit(next);
+                    low[node] = Math.min(low[node], low[next]);
+                } else if (onStack[next]) {
+                    low[node] = Math.min(low[node], order[next]);
+                }
+            }
+            if (low[node] === order[node]) {
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack[member] = false;
+                    component[member] = components;
+                } while (member !== node);
+                components++;
+            }
+        };
+        
+        for (let node = 0; node < graph.length; node++) {
+            if (order[node] === -1) visit(node);
+        }
+        return component;
+    }
+
+    isPropositional(clauses) {
+        return clauses.every(clause => clause.every(literal =>
+            literal.atom.kind === 'Predicate' && literal.atom.args.length === 0
+        ));
+    }
+
+    // Linear-time forward chaining: each clause keeps a count of body atoms not yet known
+    // to be true, and every atom that becomes true decrements the counts of the clauses
+    // whose bodies mention it. A clause whose count reaches zero fires its head, or, for a
+    // goal clause, shows the set is unsatisfiable.
+    forwardChain(clauses) {
+        this.parser.addStep("Check satisfiability by forward chaining:", "");
+        
+        const remaining = [];
+        const watchers = new Map();
+        const queue = [];
+        
+        clauses.forEach((clause, i) => {
+            const body = [...new Set(clause.filter(literal => literal.negated).map(literal => literal.formula))];
+            remaining.push(body.length);
+            for (const atom of body) {
+                if (!watchers.has(atom)) watchers.set(atom, []);
+                watchers.get(atom).push(i);
+            }
+            if (body.length === 0) queue.push(i);
+        });
+        
+        const model = [];
+        const isTrue = new Set();
+        
+        while (queue.length > 0) {
+            const index = queue.shift();
+            const clause = clauses[index];
+            const head = clause.find(literal => !literal.negated);
+            
+            if (!head) {
+                if (clause.length === 0) {
+                    this.parser.addStep("The set contains the empty clause, so it is unsatisfiable:", "\\square");
+                } else {
+                    this.parser.addStep("All atoms of the goal clause are true, so the set is unsatisfiable:", this.implicationForm(clause));
+                }
+                return { satisfiable: false, model: model, conflict: clause };
+            }
+            if (isTrue.has(head.formula)) continue;
+            
+            isTrue.add(head.formula);
+            model.push(head.formula);
+            if (clause.length === 1) {
+                this.parser.addStep(`${head.formula} is a fact, so it becomes true:`, head.formula);
+            } else {
+                this.parser.addStep(`Its body is true, so ${head.formula} becomes true:`, this.implicationForm(clause));
+            }
+            
+            for (const i of watchers.get(head.formula) || []) {
+                remaining[i]--;
+                if (remaining[i] === 0) queue.push(i);
+            }
+        }
+        
+        const modelLatex = model.length > 0 ? `\\{${model.join(', ')}\\}` : "\\emptyset";
+        this.parser.addStep("No goal clause fires, so the set is satisfiable. Minimal model (all other atoms false):", modelLatex);
+        return { satisfiable: true, model: model, conflict: null };
+    }
+
+    formatClause(clause) {
+        if (clause.length === 0) return "\\square";
+        return `(${clause.map(literal => literal.negated ? this.parser.negateAtom(literal.formula) : literal.formula).join(' \\lor ')})`;
+    }
+
+    // Definite clauses become facts (no body) and rules head ← body; goal clauses carry
+    // no program information and are left out. Body goals keep the order they were written
+    // in: SLD resolution tries them left to right, and the sorted clause order could make
+    // a rule left-recursive.
+    toProgram(hornClauses) {
+        return hornClauses
+            .filter(clause => clause.some(literal => !literal.negated))
+            .map(clause => ({
+                head: clause.find(literal => !literal.negated).atom,
+                body: clause
+                    .filter(literal => literal.negated)
+                    .sort((a, b) => a.position - b.position)
+                    .map(literal => literal.atom)
+            }));
+    }
+
+    analyzeHornClauses(clauses) {
+        let hornClauses = [];
+        let isHorn = true;
+        let isDualHorn = true;
+        let labels = [];
+        
+        for (let clause of clauses) {
+            let positiveCount = 0;
+            let negativeCount = 0;
+            
+            for (let literal of clause) {
+                if (literal.negated) {
+                    negativeCount++;
+                } else {
+                    positiveCount++;
+                }
+            }
+            
+            if (negativeCount > 1) isDualHorn = false;
+            
+            if (positiveCount > 1) {
+                isHorn = false;
+                labels.push({ kind: 'non-Horn', positiveCount: positiveCount, negativeCount: negativeCount });
+            } else if (positiveCount === 0) {
+                labels.push({ kind: 'goal clause', positiveCount: 0, negativeCount: negativeCount });
+            } else if (negativeCount === 0) {
+                labels.push({ kind: 'fact', positiveCount: 1, negativeCount: 0 });
+            } else {
+                labels.push({ kind: 'definite clause', positiveCount: 1, negativeCount: negativeCount });
+            }
+            hornClauses.push(clause);
+        }
+        
+        let displayForm = hornClauses.map(clause =>
+            isHorn ? `(${this.implicationForm(clause)})` : this.formatClause(clause)
+        ).join(' \\land ');
+        
+        return {
+            isHorn: isHorn,
+            isDualHorn: isDualHorn,
+            hornClauses: hornClauses,
+            labels: labels,
+            displayForm: displayForm
+        };
+    }
+
+    // B1 ∧ … ∧ Bn → H, with → H for facts and B1 ∧ … ∧ Bn → ⊥ for goal clauses
+    implicationForm(clause) {
+        const body = clause.filter(literal => literal.negated).map(literal => literal.formula);
+        const head = clause.find(literal => !literal.negated);
+        const conclusion = head ? head.formula : "\\bot";
+        return body.length > 0 ? `${body.join(' \\land ')} \\to ${conclusion}` : `\\to ${conclusion}`;
+    }
+}
+
+
+function getInput(){
+    const textArea = document.querySelector("textarea");
+    return textArea.value;
+}
+
+// Parse errors show the source line with a caret under the offending spot, outside MathJax
+function diagnosticHtml(diagnostic){
+    const escaped = diagnostic.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    return `<pre class="mathjax_ignore" style="text-align: left; color: #c62828; white-space: pre-wrap;">${escaped}</pre>`;
+}
+
+function getGoal(){
+    const goal = document.getElementById("goal");
+    return goal ? goal.value : "";
+}
+
+function getPrenexStrategy(){
+    const select = document.getElementById("prenexStrategy");
+    return select ? select.value : "exists-first";
+}
+
+function getSatAlgorithm(){
+    const select = document.getElementById("satAlgorithm");
+    return select ? select.value : "dpll";
+}
+
+function getNormalFormMode(){
+    const select = document.getElementById("normalFormMode");
+    return select ? select.value : "standard";
+}
+
+function clearFunction(){
+    const fnc = document.getElementById("FNC");
+    const fdc = document.getElementById("FDC");
+    const clausal = document.getElementById("ClausalFormula");
+    const horn = document.getElementById("HorneClause");
+    const skolem = document.getElementById("SkolemFormula");
+    const nnf = document.getElementById("NNF");
+    const truthTable = document.getElementById("TruthTable");
+    const resolution = document.getElementById("ResolutionProof");
+    const unification = document.getElementById("Unification");
+    const sld = document.getElementById("SLDResolution");
+    const sat = document.getElementById("SATSolver");
+    document.getElementById("form").reset();
+    fnc.innerHTML = "";
+    fdc.innerHTML = "";
+    clausal.innerHTML = "";
+    horn.innerHTML = "";
+    skolem.innerHTML = "";
+    nnf.innerHTML = "";
+    truthTable.innerHTML = "";
+    resolution.innerHTML = "";
+    unification.innerHTML = "";
+    sld.innerHTML = "";
+    sat.innerHTML = "";
+}
+
+function fncFunction(){
+    const inputValue = getInput();
+    if (!inputValue.trim()) return;
+    
+    try {
+        const converter = new CNFConverter(getPrenexStrategy(), getNormalFormMode());
+        const result = converter.convert(inputValue);
+        
+        let html = "";
+        for (let step of result.steps) {
+            html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
+                        <strong>Step ${step.step}:</strong> ${step.description}<br>`;
+            if (step.diagnostic) {
+                html += diagnosticHtml(step.diagnostic);
+            } else if (step.formula) {
+                html += `<span style="font-family: monospace;">$${step.formula}$</span>`;
+            }
+            html += `</div>`;
+        }
+        html += `<div style="margin: 15px 0; padding: 15px; background: #e8f5e8; border-radius: 5px; border: 2px solid #4caf50;">
+                    <strong>Final CNF Result:</strong><br>
+                    <span style="font-family: monospace;">$${result.result}$</span>
+                 </div>`;
+        
+        const fnc = document.getElementById("FNC");
+        fnc.innerHTML = html;
+        MathJax.typesetPromise([fnc]);
+        
+    } catch (error) {
+        console.error("Error in CNF conversion:", error);
+        const fnc = document.getElementById("FNC");
+        fnc.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+    }
+}
+
+function fdcFunction(){
+    const inputValue = getInput();
+    if (!inputValue.trim()) return;
+    
+    try {
+        const converter = new DNFConverter(getPrenexStrategy(), getNormalFormMode());
+        const result = converter.convert(inputValue);
+        
+        let html = "";
+        for (let step of result.steps) {
+            html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
+                        <strong>Step ${step.step}:</strong> ${step.description}<br>`;
+            if (step.diagnostic) {
+                html += diagnosticHtml(step.diagnostic);
+            } else if (step.formula) {
+                html += `<span style="font-family: monospace;">$${step.formula}$</span>`;
+            }
+            html += `</div>`;
+        }
+        html += `<div style="margin: 15px 0; padding: 15px; background: #ffe8e8; border-radius: 5px; border: 2px solid #ff6b6b;">
+                    <strong>Final DNF Result:</strong><br>
+                    <span style="font-family: monospace;">$${result.result}$</span>
+                 </div>`;
+        
+        const fdc = document.getElementById("FDC");
+        fdc.innerHTML = html;
+        MathJax.typesetPromise([fdc]);
+        
+    } catch (error) {
+        console.error("Error in DNF conversion:", error);
+        const fdc = document.getElementById("FDC");
+        fdc.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+    }
+}
+
+function conjuctiveFunction(){
+    const inputValue = getInput();
+    if (!inputValue.trim()) return;
+    
+    try {
+        const converter = new ClausalConverter(getPrenexStrategy());
+        const result = converter.convert(inputValue);
+        
+        let html = "";
+        for (let step of result.steps) {
+            html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
+                        <strong>Step ${step.step}:</strong> ${step.description}<br>`;
+            if (step.diagnostic) {
+                html += diagnosticHtml(step.diagnostic);
+            } else if (step.formula) {
+                html += `<span style="font-family: monospace;">$${step.formula}$</span>`;
+            }
+            html += `</div>`;
+        }
+        html += `<div style="margin: 15px 0; padding: 15px; background: #e8e8ff; border-radius: 5px; border: 2px solid #6b6bff;">
+                    <strong>Final Clausal Form:</strong><br>
+                    <span style="font-family: monospace;">$${result.result}$</span>
+                 </div>`;
+        
+        // Display clauses as a set
+        if (result.clauses && result.clauses.length > 0) {
+            html += `<div style="margin: 15px 0; padding: 15px; background: #f0f0ff; border-radius: 5px; border: 1px solid #9999ff;">
+                        <strong>Clauses as Set:</strong><br>
+                        <span style="font-family: monospace;">$\\{${result.clauses.map(c => c.length === 0 ? '\\square' : c.map(l => l.negated ? '¬' + l.formula : l.formula).join(', '))}\\}$</span>
+                     </div>`;
+        }
+        
+        // DIMACS export for external SAT solvers
+        if (result.result !== "Error") {
+            html += `<div style="margin: 15px 0; padding: 15px; background: #f5f5f5; border-radius: 5px; text-align: left;">
+                        <strong>DIMACS CNF:</strong>`;
+            try {
+                const dimacs = converter.toDimacs(result.clauses);
+                html += `<a download = "formula.cnf" href = "data:text/plain;charset=utf-8,${encodeURIComponent(dimacs)}">Download</a>
+                        <pre>${dimacs.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</pre>`;
+            } catch (error) {
+                html += ` ${error.message}`;
+            }
+            html += `</div>`;
+        }
+        
+        const clausalArea = document.getElementById("ClausalFormula");
+        
+        if (clausalArea) {
+            clausalArea.innerHTML = html;
+            MathJax.typesetPromise([clausalArea]);
+        }
+        
+    } catch (error) {
+        console.error("Error in Clausal conversion:", error);
+        const clausalArea = document.getElementById("ClausalFormula");
+        if (clausalArea) {
+            clausalArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+        }
+    }
+}
+
+function hornFunction(){
+    const inputValue = getInput();
+    if (!inputValue.trim()) return;
+    
+    try {
+        const converter = new HornClauseConverter(getPrenexStrategy());
+        const result = converter.convert(inputValue);
+        
+        let html = "";
+        for (let step of result.steps) {
+            html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
+                        <strong>Step ${step.step}:</strong> ${step.description}<br>`;
+            if (step.diagnostic) {
+                html += diagnosticHtml(step.diagnostic);
+            } else if (step.formula) {
+                html += `<span style="font-family: monospace;">$${step.formula}$</span>`;
+            }
+            html += `</div>`;
+        }
+        
+        // Show Horn clause result
+        const bgColor = result.isHorn ? '#e8ffe8' : '#ffe8e8';
+        const borderColor = result.isHorn ? '#4caf50' : '#ff6b6b';
+        let statusText = result.isHorn ? 'Valid Horn Formula' : 'Not a Horn Formula';
+        if (!result.isHorn && result.renaming) statusText += ' (renamable Horn)';
+        if (!result.isHorn && result.isDualHorn) statusText += ' (dual-Horn)';
+        
+        // A failed conversion has no clauses to classify; the error step above already explains it
+        const failed = result.result === 'Error';
+        html += `<div style="margin: 15px 0; padding: 15px; background: ${bgColor}; border-radius: 5px; border: 2px solid ${borderColor};">
+                    <strong>${failed ? 'Error' : `${statusText}:`}</strong>`;
+        if (result.result && !failed) {
+            html += `<br><span style="font-family: monospace;">$${result.result}$</span>`;
+        }
+        html += `</div>`;
+        
+        if (result.satisfiability) {
+            const model = result.satisfiability.model;
+            html += `<div style="margin: 15px 0; padding: 15px; background: #f5f5f5; border-radius: 5px;">
+                        <strong>${result.satisfiability.satisfiable ? 'Satisfiable, minimal model:' : 'Unsatisfiable'}</strong>`;
+            if (result.satisfiability.satisfiable) {
+                html += `<br><span style="font-family: monospace;">$${model.length > 0 ? `\\{${model.join(', ')}\\}` : '\\emptyset'}$</span>`;
+            }
+            html += `</div>`;
+        }
+        
+        const hornArea = document.getElementById("HorneClause");
+        if (hornArea) {
+            hornArea.innerHTML = html;
+            MathJax.typesetPromise([hornArea]);
+        }
+        
+    } catch (error) {
+        console.error("Error in Horn clause conversion:", error);
+        const hornArea = document.getElementById("HorneClause");
+        if (hornArea) {
+            hornArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+        }
+    }
+}
+
+
+class PrenexConverter {
+    constructor(strategy = 'exists-first') {
+        this.parser = new LogicParser();
+        // 'exists-first' or 'forall-first': which quantifiers to hoist first when two prefixes merge
+        this.strategy = strategy;
+    }
+
+    convert(input) {
+        this.parser.stepCounter = 1;
+        this.parser.steps = [];
+
+        // Step 1: Show original formula
+        let formula = this.parser.cleanInput(input);
+        this.parser.addStep("Original formula:", formula);
+
+        try {
+            // Normalize and parse
+            const normalized = this.parser.normalizeInput(formula);
+            const tokens = this.parser.tokenize(normalized);
+            const parsed = this.parser.parse(tokens);
+            
+            // Implications and negations are handled by the prenex rules themselves
+            const prenexForm = new ConversionPipeline(this.parser, [
+                RewritePass.eliminateExtraConnectives(),
+                RewritePass.prenex(this.strategy)
+            ]).run(parsed);
+            
+            // Final result
+            const result = this.parser.toLatex(prenexForm);
+            this.parser.addStep("Prenex Result:", result);
+            
+            return {
+                steps: this.parser.steps,
+                result: result
+            };
+        } catch (error) {
+            console.error("Error in Prenex conversion:", error);
+            this.parser.addErrorStep(error);
+            return {
+                steps: this.parser.steps,
+                result: "Error"
+            };
+        }
+    }
+
+    // Rename bound variables apart first so hoisting cannot capture anything.
+    // The renamed formula is kept in this.standardized for callers that show it as a step.
+    convertToPrenex(ast) {
+        this.standardized = this.standardizeApart(ast);
+        return this.hoistQuantifiers(this.standardized);
+    }
+
+    standardizeApart(ast) {
+        this.usedNames = this.parser.collectNames(ast);
+        this.variableCounters = {};
+        return this.renameBound(ast, {});
+    }
+
+    renameBound(ast, renaming) {
+        switch (ast.kind) {
+            case 'ForAll':
+            case 'Exists': {
+                const fresh = this.freshVariable(ast.variable);
+                return {
+                    kind: ast.kind,
+                    variable: fresh,
+                    body: this.renameBound(ast.body, { ...renaming, [ast.variable]: fresh })
+                };
+            }
+            case 'Not':
+                return { kind: 'Not', child: this.renameBound(ast.child, renaming) };
+            case 'And':
+            case 'Or':
+                return { kind: ast.kind, operands: ast.operands.map(operand => this.renameBound(operand, renaming)) };
+            case 'Implies':
+            case 'Iff':
+                return {
+                    kind: ast.kind,
+                    left: this.renameBound(ast.left, renaming),
+                    right: this.renameBound(ast.right, renaming)
+                };
+            case 'Predicate':
+                return {
+                    kind: 'Predicate',
+                    name: ast.name,
+                    args: ast.args.map(arg => this.renameTerm(arg, renaming))
+                };
+            case 'Equals':
+            case 'NotEquals':
+                return {
+                    kind: ast.kind,
+                    left: this.renameTerm(ast.left, renaming),
+                    right: this.renameTerm(ast.right, renaming)
+                };
+            default:
+                return ast;
+        }
+    }
+
+    renameTerm(term, renaming) {
+        if (term.kind === 'Variable') {
+            return renaming.hasOwnProperty(term.name) ? { kind: 'Variable', name: renaming[term.name] } : term;
+        }
+        if (term.args) {
+            return { ...term, args: term.args.map(arg => this.renameTerm(arg, renaming)) };
+        }
+        return term;
+    }
+
+    // x -> x1, x2, ... skipping names that already appear in the formula
+    freshVariable(variable) {
+        const base = variable.replace(/[0-9]+$/, '') || variable;
+        let name;
+        do {
+            this.variableCounters[base] = (this.variableCounters[base] || 0) + 1;
+            name = `${base}${this.variableCounters[base]}`;
+        } while (this.usedNames.has(name));
+        this.usedNames.add(name);
+        return name;
+    }
+
+    hoistQuantifiers(ast) {
+        switch (ast.kind) {
+            case 'ForAll':
+            case 'Exists':
+                return {
+                    kind: ast.kind,
+                    variable: ast.variable,
+                    body: this.hoistQuantifiers(ast.body)
+                };
+            case 'Not': {
+                // ¬∀x A ≡ ∃x ¬A and ¬∃x A ≡ ∀x ¬A, for the whole prefix at once
+                const childPrenex = this.hoistQuantifiers(ast.child);
+                return this.applyQuantifiers(
+                    this.flipQuantifiers(this.extractQuantifiers(childPrenex)),
+                    { kind: 'Not', child: this.removeQuantifiers(childPrenex) }
+                );
+            }
+            case 'And':
+            case 'Or':
+                // Hoisted one operand at a time, left to right
+                return ast.operands
+                    .map(operand => this.hoistQuantifiers(operand))
+                    .reduce((left, right) => this.combinePrenex(ast.kind, left, right, false));
+            case 'Implies':
+                // (∀x A) → B ≡ ∃x (A → B) and (∃x A) → B ≡ ∀x (A → B); the consequent keeps its quantifiers
+                return this.combinePrenex('Implies', this.hoistQuantifiers(ast.left), this.hoistQuantifiers(ast.right), true);
+            case 'Iff': {
+                // A ↔ B ≡ (A → B) ∧ (B → A); the second copy gets its own bound variables
+                const forward = { kind: 'Implies', left: ast.left, right: ast.right };
+                const backward = {
+                    kind: 'Implies',
+                    left: this.renameBound(ast.right, {}),
+                    right: this.renameBound(ast.left, {})
+                };
+                return this.hoistQuantifiers({ kind: 'And', operands: [forward, backward] });
+            }
+            default:
+                return ast;
+        }
+    }
+
+    combinePrenex(kind, leftPrenex, rightPrenex, flipLeft) {
+        let leftQuantifiers = this.extractQuantifiers(leftPrenex);
+        if (flipLeft) {
+            leftQuantifiers = this.flipQuantifiers(leftQuantifiers);
+        }
+        const quantifiers = this.mergeQuantifiers(leftQuantifiers, this.extractQuantifiers(rightPrenex));
+        
+        const left = this.removeQuantifiers(leftPrenex);
+        const right = this.removeQuantifiers(rightPrenex);
+        const matrix = kind === 'Implies' ? { kind, left, right } : this.parser.connect(kind, [left, right]);
+        
+        return this.applyQuantifiers(quantifiers, matrix);
+    }
+
+    // Both prefixes bind distinct variables, so any interleaving that keeps each side's
+    // order is equivalent. Pulling existentials first gives Skolem functions fewer arguments.
+    mergeQuantifiers(leftQuantifiers, rightQuantifiers) {
+        const first = this.strategy === 'forall-first' ? 'ForAll' : 'Exists';
+        const merged = [];
+        let i = 0;
+        let j = 0;
+        
+        while (i < leftQuantifiers.length || j < rightQuantifiers.length) {
+            if (i < leftQuantifiers.length && leftQuantifiers[i].kind === first) {
+                merged.push(leftQuantifiers[i++]);
+            } else if (j < rightQuantifiers.length && rightQuantifiers[j].kind === first) {
+                merged.push(rightQuantifiers[j++]);
+            } else if (i < leftQuantifiers.length) {
+                merged.push(leftQuantifiers[i++]);
+            } else {
+                merged.push(rightQuantifiers[j++]);
+            }
+        }
+        
+        return merged;
+    }
+
+    flipQuantifiers(quantifiers) {
+        return quantifiers.map(quantifier => ({
+            kind: quantifier.kind === 'ForAll' ? 'Exists' : 'ForAll',
+            variable: quantifier.variable
+        }));
+    }
+
+    extractQuantifiers(ast) {
+        const quantifiers = [];
+        let current = ast;
+        
+        while (current.kind === 'ForAll' || current.kind === 'Exists') {
+            quantifiers.push({
+                kind: current.kind,
+                variable: current.variable
+            });
+            current = current.body;
+        }
+        
+        return quantifiers;
+    }
+
+    removeQuantifiers(ast) {
+        let current = ast;
+        while (current.kind === 'ForAll' || current.kind === 'Exists') {
+            current = current.body;
+        }
+        return current;
+    }
+
+    applyQuantifiers(quantifiers, matrix) {
+        let result = matrix;
+        for (let i = quantifiers.length - 1; i >= 0; i--) {
+            result = {
+                kind: quantifiers[i].kind,
+                variable: quantifiers[i].variable,
+                body: result
+            };
+        }
+        return result;
+    }
+}
+
+class SkolemConverter {
+    constructor(prenexStrategy = 'exists-first') {
+        this.parser = new LogicParser();
+        this.prenexStrategy = prenexStrategy;
+        this.usedNames = new Set();
+        this.constantCounter = 0;
+        this.functionCounter = 0;
+    }
+
+    convert(input) {
+        this.parser.stepCounter = 1;
         this.parser.steps = [];
 
         // Step 1: Show original formula
@@ -466,257 +2722,638 @@ class DNFConverter {
         this.parser.addStep("Original formula:", formula);
 
         try {
-            // Normalize and parse
+            // Normalize and parse
+            const normalized = this.parser.normalizeInput(formula);
+            const tokens = this.parser.tokenize(normalized);
+            const parsed = this.parser.parse(tokens);
+            
+            // Each existential quantifier is replaced in its own step
+            const skolemized = new ConversionPipeline(this.parser, [
+                RewritePass.eliminateExtraConnectives(),
+                RewritePass.eliminateImplications(),
+                RewritePass.negationNormalForm(),
+                RewritePass.prenex(this.prenexStrategy),
+                RewritePass.skolemize(this)
+            ]).run(parsed);
+            
+            // Final result
+            const result = this.parser.toLatex(skolemized);
+            this.parser.addStep("Skolem Result:", result);
+            
+            return {
+                steps: this.parser.steps,
+                result: result
+            };
+        } catch (error) {
+            console.error("Error in Skolem conversion:", error);
+            this.parser.addErrorStep(error);
+            return {
+                steps: this.parser.steps,
+                result: "Error"
+            };
+        }
+    }
+
+    // Expects a formula without implications and with negations only on atoms.
+    // Returns the Skolemized formula and the list of replacements, each with the
+    // formula as it looks right after that replacement.
+    skolemize(ast) {
+        this.usedNames = this.parser.collectNames(ast);
+        this.constantCounter = 0;
+        this.functionCounter = 0;
+        
+        const replacements = [];
+        let current = ast;
+        let found = this.replaceFirstExistential(current, []);
+        while (found) {
+            current = found.ast;
+            replacements.push({
+                variable: found.variable,
+                term: found.term,
+                universals: found.universals,
+                formula: current
+            });
+            found = this.replaceFirstExistential(current, []);
+        }
+        
+        return { ast: current, replacements: replacements };
+    }
+
+    replaceFirstExistential(ast, universals) {
+        switch (ast.kind) {
+            case 'Exists': {
+                const term = this.freshSkolemTerm(universals);
+                return {
+                    ast: this.substitute(ast.body, ast.variable, term),
+                    variable: ast.variable,
+                    term: term,
+                    universals: universals
+                };
+            }
+            case 'ForAll': {
+                const found = this.replaceFirstExistential(ast.body, [...universals, ast.variable]);
+                if (!found) return null;
+                return { ...found, ast: { kind: 'ForAll', variable: ast.variable, body: found.ast } };
+            }
+            case 'Not': {
+                const found = this.replaceFirstExistential(ast.child, universals);
+                if (!found) return null;
+                return { ...found, ast: { kind: 'Not', child: found.ast } };
+            }
+            case 'And':
+            case 'Or': {
+                for (const [i, operand] of ast.operands.entries()) {
+                    const found = this.replaceFirstExistential(operand, universals);
+                    if (found) {
+                        const operands = ast.operands.map((other, j) => j === i ? found.ast : other);
+                        return { ...found, ast: this.parser.connect(ast.kind, operands) };
+                    }
+                }
+                return null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Skolem constant when no universal is in scope, otherwise a Skolem function of them
+    freshSkolemTerm(universals) {
+        if (universals.length === 0) {
+            return { kind: 'Constant', name: this.freshName('c', 'constantCounter') };
+        }
+        return {
+            kind: 'Function',
+            name: this.freshName('f', 'functionCounter'),
+            args: universals.map(name => ({ kind: 'Variable', name }))
+        };
+    }
+
+    freshName(prefix, counter) {
+        let name;
+        do {
+            this[counter]++;
+            name = `${prefix}_${this[counter]}`;
+        } while (this.usedNames.has(name));
+        this.usedNames.add(name);
+        return name;
+    }
+
+    // Replace the free occurrences of a variable by a term
+    substitute(ast, variable, term) {
+        switch (ast.kind) {
+            case 'ForAll':
+            case 'Exists':
+                if (ast.variable === variable) return ast;
+                return {
+                    kind: ast.kind,
+                    variable: ast.variable,
+                    body: this.substitute(ast.body, variable, term)
+                };
+            case 'Not':
+                return { kind: 'Not', child: this.substitute(ast.child, variable, term) };
+            case 'And':
+            case 'Or':
+                return { kind: ast.kind, operands: ast.operands.map(operand => this.substitute(operand, variable, term)) };
+            case 'Implies':
+            case 'Iff':
+                return {
+                    kind: ast.kind,
+                    left: this.substitute(ast.left, variable, term),
+                    right: this.substitute(ast.right, variable, term)
+                };
+            case 'Predicate':
+                return {
+                    kind: 'Predicate',
+                    name: ast.name,
+                    args: ast.args.map(arg => this.substituteTerm(arg, variable, term))
+                };
+            case 'Equals':
+            case 'NotEquals':
+                return {
+                    kind: ast.kind,
+                    left: this.substituteTerm(ast.left, variable, term),
+                    right: this.substituteTerm(ast.right, variable, term)
+                };
+            default:
+                return ast;
+        }
+    }
+
+    substituteTerm(node, variable, term) {
+        if (node.kind === 'Variable') {
+            return node.name === variable ? term : node;
+        }
+        if (node.args) {
+            return {
+                ...node,
+                args: node.args.map(arg => this.substituteTerm(arg, variable, term))
+            };
+        }
+        return node;
+    }
+
+    dropUniversals(ast) {
+        switch (ast.kind) {
+            case 'ForAll':
+                return this.dropUniversals(ast.body);
+            case 'Not':
+                return { kind: 'Not', child: this.dropUniversals(ast.child) };
+            case 'And':
+            case 'Or':
+                return this.parser.connect(ast.kind, ast.operands.map(operand => this.dropUniversals(operand)));
+            default:
+                return ast;
+        }
+    }
+
+    describeReplacement(replacement) {
+        const term = this.parser.toLatex(replacement.term);
+        if (replacement.term.kind === 'Constant') {
+            return `Skolemize $\\exists ${replacement.variable}$: replace $${replacement.variable}$ with the Skolem constant $${term}$:`;
+        }
+        return `Skolemize $\\exists ${replacement.variable}$: replace $${replacement.variable}$ with the Skolem function $${term}$ of $${replacement.universals.join(', ')}$:`;
+    }
+}
+
+class NegationNormalFormConverter {
+    constructor() {
+        this.parser = new LogicParser();
+    }
+
+    convert(input) {
+        this.parser.stepCounter = 1;
+        this.parser.steps = [];
+
+        let formula = this.parser.cleanInput(input);
+        this.parser.addStep("Original formula:", formula);
+
+        try {
+            const normalized = this.parser.normalizeInput(formula);
+            const tokens = this.parser.tokenize(normalized);
+            const parsed = this.parser.parse(tokens);
+            
+            // One step per law, showing the negation it moved
+            const nnf = new ConversionPipeline(this.parser, [
+                RewritePass.eliminateExtraConnectives(),
+                RewritePass.eliminateImplications(false),
+                RewritePass.negationNormalForm(true)
+            ]).run(parsed);
+            
+            const result = this.parser.toLatex(nnf);
+            this.parser.addStep("Negation normal form:", result);
+            
+            return {
+                steps: this.parser.steps,
+                result: result
+            };
+        } catch (error) {
+            console.error("Error in NNF conversion:", error);
+            this.parser.addErrorStep(error);
+            return {
+                steps: this.parser.steps,
+                result: "Error"
+            };
+        }
+    }
+}
+
+class TruthTableGenerator {
+    constructor(maxAtoms = 8) {
+        this.parser = new LogicParser();
+        // Larger tables (2^n rows) are refused instead of freezing the page
+        this.maxAtoms = maxAtoms;
+    }
+
+    generate(input) {
+        const formula = this.parser.cleanInput(input);
+        
+        try {
             const normalized = this.parser.normalizeInput(formula);
             const tokens = this.parser.tokenize(normalized);
             const ast = this.parser.parse(tokens);
             
-            // Step 2: Eliminate implications
-            const withoutImpl = this.eliminateImplications(ast);
-            this.parser.addStep("Eliminate implications:", this.parser.toLatex(withoutImpl));
+            if (!this.isPropositional(ast)) {
+                return { error: "Truth tables are only available for propositional formulas (no quantifiers, predicate arguments or equality)." };
+            }
             
-            // Step 3: De Morgan
-            const withDeMorgan = this.applyDeMorgan(withoutImpl);
-            if (this.parser.toLatex(withDeMorgan) !== this.parser.toLatex(withoutImpl)) {
-                this.parser.addStep("Apply De Morgan's laws:", this.parser.toLatex(withDeMorgan));
+            const atoms = this.collectAtoms(ast, []).sort();
+            if (atoms.length > this.maxAtoms) {
+                return { error: `The formula has ${atoms.length} atoms; truth tables are limited to ${this.maxAtoms} atoms (${Math.pow(2, this.maxAtoms)} rows).` };
             }
             
-            // NEW STEP: Convert to Prenex form
-            const prenexForm = this.convertToPrenex(withDeMorgan);
-            if (this.parser.toLatex(prenexForm) !== this.parser.toLatex(withDeMorgan)) {
-                this.parser.addStep("Convert to Prenex form:", this.parser.toLatex(prenexForm));
+            const columns = this.collectSubformulas(ast, []);
+            if (columns.length === 0) {
+                // A lone atom or constant still needs its result column
+                columns.push(ast);
             }
+            const rows = [];
+            const rowCount = Math.pow(2, atoms.length);
             
-            // Step 4: Distribute OR over AND
-            const distributed = this.distributeOrOverAnd(prenexForm);
-            if (this.parser.toLatex(distributed) !== this.parser.toLatex(prenexForm)) {
-                this.parser.addStep("Distribute OR over AND:", this.parser.toLatex(distributed));
+            // First row has every atom true, the last one every atom false
+            for (let i = 0; i < rowCount; i++) {
+                const assignment = this.assignmentForIndex(rowCount - 1 - i, atoms);
+                rows.push({
+                    atoms: atoms.map(atom => assignment[atom]),
+                    values: columns.map(column => this.evaluate(column, assignment))
+                });
             }
             
-            // Final result
-            const result = this.parser.toLatex(distributed);
-            this.parser.addStep("DNF Result:", result);
+            const results = rows.map(row => row.values[row.values.length - 1]);
+            let classification = "contingent";
+            if (results.every(value => value)) classification = "tautology";
+            else if (results.every(value => !value)) classification = "contradiction";
             
             return {
-                steps: this.parser.steps,
-                result: result
+                atoms: atoms,
+                columns: columns.map(column => this.parser.toLatex(column)),
+                rows: rows,
+                classification: classification
             };
         } catch (error) {
-            console.error("Error in DNF conversion:", error);
-            this.parser.addStep("Error:", "Failed to process formula: " + error.message);
-            return {
-                steps: this.parser.steps,
-                result: "Error"
-            };
+            console.error("Error in truth table generation:", error);
+            return { error: "Failed to process formula: " + error.message, diagnostic: error.diagnostic };
         }
     }
 
-    eliminateImplications(ast) {
-        
+    isPropositional(ast) {
         switch (ast.kind) {
-            case 'Implies':
-                return {
-                    kind: 'Or',
-                    left: { kind: 'Not', child: this.eliminateImplications(ast.left) },
-                    right: this.eliminateImplications(ast.right)
-                };
-            case 'Iff':
-                return {
-                    kind: 'And',
-                    left: {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.eliminateImplications(ast.left) },
-                        right: this.eliminateImplications(ast.right)
-                    },
-                    right: {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.eliminateImplications(ast.right) },
-                        right: this.eliminateImplications(ast.left)
-                    }
-                };
+            case 'Predicate':
+                return ast.args.length === 0;
+            case 'Top':
+            case 'Bottom':
+                return true;
             case 'Not':
-                return { kind: 'Not', child: this.eliminateImplications(ast.child) };
+                return this.isPropositional(ast.child);
             case 'And':
-                return {
-                    kind: 'And',
-                    left: this.eliminateImplications(ast.left),
-                    right: this.eliminateImplications(ast.right)
-                };
             case 'Or':
-                return {
-                    kind: 'Or',
-                    left: this.eliminateImplications(ast.left),
-                    right: this.eliminateImplications(ast.right)
-                };
-            case 'ForAll':
-                return {
-                    kind: 'ForAll',
-                    variable: ast.variable,
-                    body: this.eliminateImplications(ast.body)
-                };
-            case 'Exists':
-                return {
-                    kind: 'Exists',
-                    variable: ast.variable,
-                    body: this.eliminateImplications(ast.body)
-                };
+                return ast.operands.every(operand => this.isPropositional(operand));
+            case 'Implies':
+            case 'Iff':
+            case 'Xor':
+            case 'Nand':
+            case 'Nor':
+            case 'ReverseImplies':
+                return this.isPropositional(ast.left) && this.isPropositional(ast.right);
             default:
-                return ast;
+                return false;
+        }
+    }
+
+    // Index of an assignment in textbook order: the first atom is the most significant bit, true is 1
+    assignmentForIndex(index, atoms) {
+        const assignment = {};
+        atoms.forEach((atom, j) => {
+            assignment[atom] = ((index >> (atoms.length - 1 - j)) & 1) === 1;
+        });
+        return assignment;
+    }
+
+    // Minterms are the indices where the formula is true, maxterms where it is false
+    classifyAssignments(ast, atoms) {
+        const minterms = [];
+        const maxterms = [];
+        for (let index = 0; index < Math.pow(2, atoms.length); index++) {
+            if (this.evaluate(ast, this.assignmentForIndex(index, atoms))) {
+                minterms.push(index);
+            } else {
+                maxterms.push(index);
+            }
+        }
+        return { minterms, maxterms };
+    }
+
+    // Atoms in order of first appearance
+    collectAtoms(ast, atoms) {
+        if (ast.kind === 'Predicate') {
+            if (!atoms.includes(ast.name)) atoms.push(ast.name);
+        } else if (ast.kind === 'Not') {
+            this.collectAtoms(ast.child, atoms);
+        } else if (ast.operands) {
+            for (const operand of ast.operands) this.collectAtoms(operand, atoms);
+        } else if (ast.left && ast.right) {
+            this.collectAtoms(ast.left, atoms);
+            this.collectAtoms(ast.right, atoms);
         }
+        return atoms;
     }
 
-    applyDeMorgan(ast) {
+    // Compound subformulas in evaluation order, each listed once; the last one is the formula itself
+    collectSubformulas(ast, columns) {
+        if (ast.kind === 'Not') {
+            this.collectSubformulas(ast.child, columns);
+        } else if (ast.operands) {
+            for (const operand of ast.operands) this.collectSubformulas(operand, columns);
+        } else if (ast.left && ast.right) {
+            this.collectSubformulas(ast.left, columns);
+            this.collectSubformulas(ast.right, columns);
+        } else {
+            return columns;
+        }
         
+        const latex = this.parser.toLatex(ast);
+        if (!columns.some(column => this.parser.toLatex(column) === latex)) {
+            columns.push(ast);
+        }
+        return columns;
+    }
+
+    evaluate(ast, assignment) {
         switch (ast.kind) {
+            case 'Predicate':
+                return assignment[ast.name];
+            case 'Top':
+                return true;
+            case 'Bottom':
+                return false;
             case 'Not':
-                if (ast.child.kind === 'And') {
-                    return {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.applyDeMorgan(ast.child.left) },
-                        right: { kind: 'Not', child: this.applyDeMorgan(ast.child.right) }
-                    };
-                } else if (ast.child.kind === 'Or') {
-                    return {
-                        kind: 'And',
-                        left: { kind: 'Not', child: this.applyDeMorgan(ast.child.left) },
-                        right: { kind: 'Not', child: this.applyDeMorgan(ast.child.right) }
-                    };
-                } else if (ast.child.kind === 'Not') {
-                    return this.applyDeMorgan(ast.child.child); // Double negation
-                }
-                return ast;
+                return !this.evaluate(ast.child, assignment);
             case 'And':
-                return {
-                    kind: 'And',
-                    left: this.applyDeMorgan(ast.left),
-                    right: this.applyDeMorgan(ast.right)
-                };
+                return ast.operands.every(operand => this.evaluate(operand, assignment));
             case 'Or':
-                return {
-                    kind: 'Or',
-                    left: this.applyDeMorgan(ast.left),
-                    right: this.applyDeMorgan(ast.right)
-                };
-            case 'ForAll':
-                return {
-                    kind: 'ForAll',
-                    variable: ast.variable,
-                    body: this.applyDeMorgan(ast.body)
-                };
-            case 'Exists':
-                return {
-                    kind: 'Exists',
-                    variable: ast.variable,
-                    body: this.applyDeMorgan(ast.body)
-                };
+                return ast.operands.some(operand => this.evaluate(operand, assignment));
+            case 'Implies':
+                return !this.evaluate(ast.left, assignment) || this.evaluate(ast.right, assignment);
+            case 'ReverseImplies':
+                return this.evaluate(ast.left, assignment) || !this.evaluate(ast.right, assignment);
+            case 'Iff':
+                return this.evaluate(ast.left, assignment) === this.evaluate(ast.right, assignment);
+            case 'Xor':
+                return this.evaluate(ast.left, assignment) !== this.evaluate(ast.right, assignment);
+            case 'Nand':
+                return !(this.evaluate(ast.left, assignment) && this.evaluate(ast.right, assignment));
+            case 'Nor':
+                return !(this.evaluate(ast.left, assignment) || this.evaluate(ast.right, assignment));
             default:
-                return ast;
+                throw new Error(`Cannot evaluate ${ast.kind} in a truth table`);
         }
     }
+}
 
-    distributeOrOverAnd(ast) {
-        if (ast.kind === 'And') {
-            if (ast.left.kind === 'Or') {
-                return {
-                    kind: 'Or',
-                    left: this.distributeOrOverAnd({
-                        kind: 'And',
-                        left: ast.left.left,
-                        right: ast.right
-                    }),
-                    right: this.distributeOrOverAnd({
-                        kind: 'And',
-                        left: ast.left.right,
-                        right: ast.right
-                    })
-                };
-            } else if (ast.right.kind === 'Or') {
-                return {
-                    kind: 'Or',
-                    left: this.distributeOrOverAnd({
-                        kind: 'And',
-                        left: ast.left,
-                        right: ast.right.left
-                    }),
-                    right: this.distributeOrOverAnd({
-                        kind: 'And',
-                        left: ast.left,
-                        right: ast.right.right
-                    })
-                };
+class QuineMcCluskeyMinimizer {
+    constructor() {
+        this.parser = new LogicParser();
+    }
+
+    // indices are the minterms to cover (or the maxterms, for the dual CNF problem)
+    minimize(indices, atoms) {
+        const primes = this.primeImplicants(indices, atoms.length);
+        
+        // A prime is essential when it is the only one covering some index
+        const essentials = [];
+        for (const index of indices) {
+            const covering = primes.map((prime, i) => i).filter(i => primes[i].covers.includes(index));
+            if (covering.length === 1 && !essentials.includes(covering[0])) {
+                essentials.push(covering[0]);
             }
         }
+        essentials.sort((a, b) => a - b);
         
-        if (ast.kind === 'Or') {
-            return {
-                kind: 'Or',
-                left: this.distributeOrOverAnd(ast.left),
-                right: this.distributeOrOverAnd(ast.right)
-            };
+        const remaining = indices.filter(index => !essentials.some(i => primes[i].covers.includes(index)));
+        const petrick = remaining.length > 0 ? this.petrick(primes, remaining) : null;
+        const cover = [...essentials, ...(petrick ? petrick.choice : [])].sort((a, b) => a - b);
+        
+        return { primes, essentials, remaining, petrick, cover };
+    }
+
+    // Implicants are patterns over '0', '1' and '-' (the atom is absent), most significant atom first
+    primeImplicants(indices, width) {
+        let current = indices.map(index => ({
+            pattern: width === 0 ? '' : index.toString(2).padStart(width, '0'),
+            covers: [index]
+        }));
+        const primes = [];
+        
+        while (current.length > 0) {
+            const merged = new Map();
+            const used = new Set();
+            
+            for (let i = 0; i < current.length; i++) {
+                for (let j = i + 1; j < current.length; j++) {
+                    const pattern = this.combine(current[i].pattern, current[j].pattern);
+                    if (pattern === null) continue;
+                    used.add(i);
+                    used.add(j);
+                    if (!merged.has(pattern)) {
+                        const covers = [...new Set([...current[i].covers, ...current[j].covers])].sort((a, b) => a - b);
+                        merged.set(pattern, { pattern, covers });
+                    }
+                }
+            }
+            
+            current.forEach((implicant, i) => {
+                if (!used.has(i) && !primes.some(prime => prime.pattern === implicant.pattern)) {
+                    primes.push(implicant);
+                }
+            });
+            current = [...merged.values()];
         }
         
-        if (ast.kind === 'Not') {
-            return { kind: 'Not', child: this.distributeOrOverAnd(ast.child) };
+        return primes;
+    }
+
+    // Two patterns merge when they differ in exactly one fixed position
+    combine(a, b) {
+        let difference = -1;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === b[i]) continue;
+            if (a[i] === '-' || b[i] === '-' || difference !== -1) return null;
+            difference = i;
         }
+        if (difference === -1) return null;
+        return a.slice(0, difference) + '-' + a.slice(difference + 1);
+    }
+
+    // Multiply out the product of sums (one sum of primes per uncovered index) with absorption,
+    // then keep the smallest product, breaking ties by the number of literals
+    petrick(primes, remaining) {
+        const sums = remaining.map(index => primes.map((prime, i) => i).filter(i => primes[i].covers.includes(index)));
+        let products = [[]];
         
-        return ast;
+        for (const sum of sums) {
+            const expanded = [];
+            for (const product of products) {
+                for (const prime of sum) {
+                    expanded.push(product.includes(prime) ? product : [...product, prime].sort((a, b) => a - b));
+                }
+            }
+            products = this.absorb(expanded);
+        }
+        
+        const literalCount = product => product.reduce((count, i) => count + primes[i].pattern.replace(/-/g, '').length, 0);
+        const choice = products.reduce((best, product) => {
+            if (product.length !== best.length) return product.length < best.length ? product : best;
+            return literalCount(product) < literalCount(best) ? product : best;
+        });
+        
+        return { sums, products, choice };
     }
-    // Add Prenex conversion method
-    convertToPrenex(ast) {
-        const prenexConverter = new PrenexConverter();
-        return prenexConverter.convertToPrenex(ast);
+
+    // X + XY = X: drop duplicates and every product that contains another one
+    absorb(products) {
+        const unique = [...new Map(products.map(product => [product.join(','), product])).values()]
+            .sort((a, b) => a.length - b.length);
+        const kept = [];
+        for (const product of unique) {
+            if (!kept.some(smaller => smaller.every(i => product.includes(i)))) {
+                kept.push(product);
+            }
+        }
+        return kept;
     }
-}
 
+    // A '1' in the pattern is the atom itself in a DNF term and its negation in a CNF clause
+    implicantToAst(pattern, atoms, target) {
+        const literals = [];
+        for (let i = 0; i < pattern.length; i++) {
+            if (pattern[i] === '-') continue;
+            const atom = { kind: 'Predicate', name: atoms[i], args: [] };
+            const positive = target === 'dnf' ? pattern[i] === '1' : pattern[i] === '0';
+            literals.push(positive ? atom : { kind: 'Not', child: atom });
+        }
+        // No literals gives ⊤ for a DNF term and ⊥ for a CNF clause
+        return this.parser.connect(target === 'dnf' ? 'And' : 'Or', literals);
+    }
 
-class ClausalConverter {
-    constructor() {
+    describePrimes(primes, atoms, target) {
+        return primes.map((prime, i) =>
+            `P_{${i + 1}} = \\text{${prime.pattern || '–'}} = ${this.parser.toLatex(this.implicantToAst(prime.pattern, atoms, target))}`
+        ).join(',\\; ');
+    }
+
+    // Rows are primes, columns the indices they have to cover
+    primeTableLatex(primes, indices, termSymbol) {
+        let latex = `\\begin{array}{c|${'c'.repeat(indices.length)}} & ${indices.map(index => `${termSymbol}_{${index}}`).join(' & ')} \\\\ \\hline `;
+        latex += primes.map((prime, i) =>
+            `P_{${i + 1}} & ${indices.map(index => prime.covers.includes(index) ? '\\times' : '').join(' & ')}`
+        ).join(' \\\\ ');
+        return latex + ' \\end{array}';
+    }
+
+    describePetrick(petrick) {
+        const sums = petrick.sums.map(sum => `(${sum.map(i => `P_{${i + 1}}`).join(' + ')})`).join('');
+        const products = petrick.products.map(product => product.map(i => `P_{${i + 1}}`).join('')).join(' + ');
+        return `${sums} = ${products}`;
+    }
+
+    describeCover(cover) {
+        return cover.map(i => `P_{${i + 1}}`).join(',\\; ');
+    }
+}
+
+class ResolutionProver {
+    constructor(maxClauses = 500) {
         this.parser = new LogicParser();
+        // Saturation can explode, so the search stops after this many clauses
+        this.maxClauses = maxClauses;
+        this.unifier = new Unifier();
     }
 
-    convert(input) {
+    // Refutation: clausify the premises together with the negated goal and search for the
+    // empty clause with binary resolution and factoring. Clauses are renamed apart before
+    // they are resolved and complementary atoms only need to unify.
+    prove(premises, goal) {
         this.parser.stepCounter = 1;
         this.parser.steps = [];
-
-        // Step 1: Show original formula
-        let formula = this.parser.cleanInput(input);
-        this.parser.addStep("Original formula:", formula);
-
+        
+        const cleanPremises = premises.map(premise => this.parser.cleanInput(premise)).filter(premise => premise);
+        const cleanGoal = this.parser.cleanInput(goal);
+        cleanPremises.forEach((premise, i) => this.parser.addStep(`Premise ${i + 1}:`, premise));
+        this.parser.addStep("Goal:", cleanGoal);
+        
         try {
-            // Normalize and parse
-            const normalized = this.parser.normalizeInput(formula);
-            const tokens = this.parser.tokenize(normalized);
-            const ast = this.parser.parse(tokens);
+            // Parse every part on its own first, so a syntax error points into the text the
+            // user typed rather than into the combined formula below
+            cleanPremises.forEach((premise, i) => this.checkSyntax(premise, `premise ${i + 1}`));
+            this.checkSyntax(cleanGoal, 'the goal');
             
-            // Step 2: Eliminate implications
-            const withoutImpl = this.eliminateImplications(ast);
-            this.parser.addStep("Eliminate implications:", this.parser.toLatex(withoutImpl));
+            const negatedGoal = `\\lnot (${cleanGoal})`;
+            this.parser.addStep("Negate the goal:", negatedGoal);
             
-            // Step 3: De Morgan
-            const withDeMorgan = this.applyDeMorgan(withoutImpl);
-            if (this.parser.toLatex(withDeMorgan) !== this.parser.toLatex(withoutImpl)) {
-                this.parser.addStep("Apply De Morgan's laws:", this.parser.toLatex(withDeMorgan));
+            // One formula, so Skolem symbols and renamed variables never clash between parts
+            const combined = [...cleanPremises.map(premise => `(${premise})`), negatedGoal].join(' \\land ');
+            const clausalConverter = new ClausalConverter();
+            const clausalResult = clausalConverter.convert(combined);
+            if (clausalResult.result === "Error") {
+                throw this.parser.errorFromSteps(clausalResult.steps);
             }
+            this.parser.addStep("Clausal form of the premises and the negated goal:", clausalResult.result);
             
-            // Step 4: Distribute AND over OR
-            const distributed = this.distributeAndOverOr(withDeMorgan);
-            if (this.parser.toLatex(distributed) !== this.parser.toLatex(withDeMorgan)) {
-                this.parser.addStep("Convert to CNF:", this.parser.toLatex(distributed));
-            }
+            const clauses = clausalResult.clauses.map(literals => ({ literals, parents: null, literal: null }));
+            clauses.forEach((clause, i) => {
+                this.parser.addStep(`(${i + 1}) input clause`, this.formatClause(clause.literals));
+            });
             
-            // Step 5: Extract clauses
-            const clauses = this.extractClauses(distributed);
-            const clausalForm = this.formatAsClauses(clauses);
-            this.parser.addStep("Extract clauses:", clausalForm);
+            const outcome = this.saturate(clauses, clausalConverter);
+            
+            if (outcome === 'refuted') {
+                // Number the clauses of the refutation right after the input clauses
+                const inputCount = clausalResult.clauses.length;
+                const numbers = new Map(clauses.slice(0, inputCount).map((clause, i) => [i, i + 1]));
+                for (const index of this.collectProof(clauses, clauses.length - 1)) {
+                    const clause = clauses[index];
+                    numbers.set(index, numbers.size + 1);
+                    const [i, j] = clause.parents;
+                    const mgu = Object.keys(clause.mgu).length > 0 ? ` with $${this.unifier.formatSubstitution(clause.mgu)}$` : '';
+                    const description = clause.parents.length === 1
+                        ? `(${numbers.get(index)}) factor (${numbers.get(i)})${mgu}:`
+                        : `(${numbers.get(index)}) resolve (${numbers.get(i)}) and (${numbers.get(j)}) on $${clause.literal}$${mgu}:`;
+                    this.parser.addStep(description, this.formatClause(clause.literals));
+                }
+                this.parser.addStep("Empty clause derived: the goal follows from the premises", "\\square");
+            } else if (outcome === 'saturated') {
+                this.parser.addStep(`Saturation reached after ${clauses.length} clauses without the empty clause: the goal cannot be proved by resolution from these clauses`, "");
+            } else {
+                this.parser.addStep(`Stopped after ${this.maxClauses} clauses without finding the empty clause`, "");
+            }
             
             return {
                 steps: this.parser.steps,
-                result: clausalForm,
+                result: outcome,
                 clauses: clauses
             };
         } catch (error) {
-            console.error("Error in Clausal conversion:", error);
-            this.parser.addStep("Error:", "Failed to process formula: " + error.message);
+            console.error("Error in resolution proof:", error);
+            this.parser.addErrorStep(error);
             return {
                 steps: this.parser.steps,
                 result: "Error",
@@ -725,765 +3362,1061 @@ class ClausalConverter {
         }
     }
 
-    eliminateImplications(ast) {
-        
-        switch (ast.kind) {
-            case 'Implies':
-                return {
-                    kind: 'Or',
-                    left: { kind: 'Not', child: this.eliminateImplications(ast.left) },
-                    right: this.eliminateImplications(ast.right)
-                };
-            case 'Iff':
-                return {
-                    kind: 'And',
-                    left: {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.eliminateImplications(ast.left) },
-                        right: this.eliminateImplications(ast.right)
-                    },
-                    right: {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.eliminateImplications(ast.right) },
-                        right: this.eliminateImplications(ast.left)
-                    }
-                };
-            case 'Not':
-                return { kind: 'Not', child: this.eliminateImplications(ast.child) };
-            case 'And':
-                return {
-                    kind: 'And',
-                    left: this.eliminateImplications(ast.left),
-                    right: this.eliminateImplications(ast.right)
-                };
-            case 'Or':
-                return {
-                    kind: 'Or',
-                    left: this.eliminateImplications(ast.left),
-                    right: this.eliminateImplications(ast.right)
-                };
-            case 'ForAll':
-                return {
-                    kind: 'ForAll',
-                    variable: ast.variable,
-                    body: this.eliminateImplications(ast.body)
-                };
-            case 'Exists':
-                return {
-                    kind: 'Exists',
-                    variable: ast.variable,
-                    body: this.eliminateImplications(ast.body)
-                };
-            default:
-                return ast;
+    // Parse errors name the premise or goal and point into its own text
+    checkSyntax(text, part) {
+        const checker = new LogicParser();
+        try {
+            checker.parse(checker.tokenize(checker.normalizeInput(text)));
+        } catch (error) {
+            error.message = `In ${part}: ${error.message}`;
+            throw error;
         }
     }
 
-    applyDeMorgan(ast) {
+    // Every clause is factored once and every pair is tried once, in the order the clauses
+    // were created
+    saturate(clauses, clausalConverter) {
+        if (clauses.some(clause => clause.literals.length === 0)) return 'refuted';
         
-        switch (ast.kind) {
-            case 'Not':
-                if (ast.child.kind === 'And') {
-                    return {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.applyDeMorgan(ast.child.left) },
-                        right: { kind: 'Not', child: this.applyDeMorgan(ast.child.right) }
-                    };
-                } else if (ast.child.kind === 'Or') {
-                    return {
-                        kind: 'And',
-                        left: { kind: 'Not', child: this.applyDeMorgan(ast.child.left) },
-                        right: { kind: 'Not', child: this.applyDeMorgan(ast.child.right) }
-                    };
-                } else if (ast.child.kind === 'Not') {
-                    return this.applyDeMorgan(ast.child.child); // Double negation
+        for (let i = 0; i < clauses.length; i++) {
+            const inferences = this.factors(clauses[i], clausalConverter).map(factor => ({ ...factor, parents: [i] }));
+            for (let j = 0; j < i; j++) {
+                for (const resolvent of this.resolvents(clauses[j], clauses[i], clausalConverter)) {
+                    inferences.push({ ...resolvent, parents: [j, i] });
                 }
-                return ast;
-            case 'And':
-                return {
-                    kind: 'And',
-                    left: this.applyDeMorgan(ast.left),
-                    right: this.applyDeMorgan(ast.right)
-                };
-            case 'Or':
-                return {
-                    kind: 'Or',
-                    left: this.applyDeMorgan(ast.left),
-                    right: this.applyDeMorgan(ast.right)
-                };
-            case 'ForAll':
-                return {
-                    kind: 'ForAll',
-                    variable: ast.variable,
-                    body: this.applyDeMorgan(ast.body)
-                };
-            case 'Exists':
-                return {
-                    kind: 'Exists',
-                    variable: ast.variable,
-                    body: this.applyDeMorgan(ast.body)
-                };
-            default:
-                return ast;
+            }
+            
+            for (const inference of inferences) {
+                if (clauses.some(clause => clausalConverter.subsumes(clause.literals, inference.literals))) continue;
+                clauses.push(inference);
+                if (inference.literals.length === 0) return 'refuted';
+                if (clauses.length >= this.maxClauses) return 'limit';
+            }
         }
+        
+        return 'saturated';
     }
 
-    distributeAndOverOr(ast) {
-        if (ast.kind === 'Or') {
-            if (ast.left.kind === 'And') {
-                return {
-                    kind: 'And',
-                    left: this.distributeAndOverOr({
-                        kind: 'Or',
-                        left: ast.left.left,
-                        right: ast.right
-                    }),
-                    right: this.distributeAndOverOr({
-                        kind: 'Or',
-                        left: ast.left.right,
-                        right: ast.right
-                    })
-                };
-            } else if (ast.right.kind === 'And') {
-                return {
-                    kind: 'And',
-                    left: this.distributeAndOverOr({
-                        kind: 'Or',
-                        left: ast.left,
-                        right: ast.right.left
-                    }),
-                    right: this.distributeAndOverOr({
-                        kind: 'Or',
-                        left: ast.left,
-                        right: ast.right.right
-                    })
-                };
+    resolvents(first, second, clausalConverter) {
+        const results = [];
+        const renamed = this.renameApart(second.literals, first.literals);
+        for (const literal of first.literals) {
+            for (const complement of renamed) {
+                if (complement.negated === literal.negated) continue;
+                const { substitution } = this.unifier.mgu(this.atomTerm(literal.atom), this.atomTerm(complement.atom));
+                if (!substitution) continue;
+                
+                const literals = this.normalizeClause(
+                    [...first.literals.filter(l => l !== literal), ...renamed.filter(l => l !== complement)]
+                        .map(l => this.substituteLiteral(l, substitution)),
+                    clausalConverter
+                );
+                if (!literals) continue;
+                
+                results.push({
+                    literals: literals,
+                    literal: this.substituteLiteral(literal, substitution).formula,
+                    mgu: substitution
+                });
+            }
+        }
+        return results;
+    }
+
+    // A factor unifies two literals of the same sign, so P(x) ∨ P(y) can become P(x)
+    factors(clause, clausalConverter) {
+        const results = [];
+        const literals = clause.literals;
+        for (let a = 0; a < literals.length; a++) {
+            for (let b = a + 1; b < literals.length; b++) {
+                if (literals[a].negated !== literals[b].negated) continue;
+                const { substitution } = this.unifier.mgu(this.atomTerm(literals[a].atom), this.atomTerm(literals[b].atom));
+                if (!substitution || Object.keys(substitution).length === 0) continue;
+                
+                const factored = this.normalizeClause(literals.map(l => this.substituteLiteral(l, substitution)), clausalConverter);
+                if (factored) results.push({ literals: factored, literal: null, mgu: substitution });
             }
         }
+        return results;
+    }
+
+    // Merge repeated literals, drop tautologies (null), rename the variables to x_{1}, x_{2}, …
+    // in order of appearance and sort, so equal clauses get equal text
+    normalizeClause(literals, clausalConverter) {
+        const merged = [];
+        for (const literal of literals) {
+            if (merged.some(other => other.formula === literal.formula && other.negated !== literal.negated)) return null;
+            if (!merged.some(other => clausalConverter.sameLiteral(other, literal))) merged.push(literal);
+        }
+        merged.sort((a, b) => clausalConverter.compareLiterals(a, b));
+        
+        const renaming = {};
+        for (const name of this.clauseVariables(merged)) {
+            renaming[name] = { kind: 'Variable', name: `x_{${Object.keys(renaming).length + 1}}` };
+        }
+        return merged
+            .map(literal => this.substituteLiteral(literal, renaming))
+            .sort((a, b) => clausalConverter.compareLiterals(a, b));
+    }
+
+    // Primes the variables of literals that also occur in others
+    renameApart(literals, others) {
+        const taken = new Set(this.clauseVariables(others));
+        const renaming = {};
+        for (const name of this.clauseVariables(literals)) {
+            if (!taken.has(name)) continue;
+            let fresh = `${name}'`;
+            while (taken.has(fresh)) fresh += "'";
+            taken.add(fresh);
+            renaming[name] = { kind: 'Variable', name: fresh };
+        }
+        return literals.map(literal => this.substituteLiteral(literal, renaming));
+    }
+
+    clauseVariables(literals) {
+        const names = [];
+        const collect = term => {
+            if (term.kind === 'Variable') {
+                if (!names.includes(term.name)) names.push(term.name);
+            } else if (term.args) {
+                term.args.forEach(collect);
+            }
+        };
+        literals.forEach(literal => collect(this.atomTerm(literal.atom)));
+        return names;
+    }
+
+    // Atoms unify like terms; s = t is the atom =(s, t)
+    atomTerm(atom) {
+        return atom.kind === 'Equals' ? { kind: 'Predicate', name: '=', args: [atom.left, atom.right] } : atom;
+    }
+
+    substituteLiteral(literal, substitution) {
+        const term = this.unifier.applySubstitution(this.atomTerm(literal.atom), substitution);
+        const atom = literal.atom.kind === 'Equals' ? { kind: 'Equals', left: term.args[0], right: term.args[1] } : term;
+        return { negated: literal.negated, formula: this.parser.toLatex(atom), atom: atom };
+    }
+
+    // Indices of the derived clauses the empty clause depends on, parents first
+    collectProof(clauses, index, seen = new Set()) {
+        if (seen.has(index)) return [];
+        seen.add(index);
+        const clause = clauses[index];
+        if (!clause.parents) return [];
+        return [...clause.parents.flatMap(parent => this.collectProof(clauses, parent, seen)), index];
+    }
+
+    formatClause(literals) {
+        if (literals.length === 0) return "\\square";
+        return literals.map(literal => literal.negated ? this.parser.negateAtom(literal.formula) : literal.formula).join(' \\lor ');
+    }
+}
+
+class Unifier {
+    constructor() {
+        this.parser = new LogicParser();
+    }
+
+    unify(leftInput, rightInput) {
+        this.parser.stepCounter = 1;
+        this.parser.steps = [];
         
-        if (ast.kind === 'And') {
+        try {
+            const left = this.parseTerm(leftInput);
+            const right = this.parseTerm(rightInput);
+            this.parser.addStep("Unify:", `${this.parser.toLatex(left)} \\stackrel{?}{=} ${this.parser.toLatex(right)}`);
+            
+            const outcome = this.mgu(left, right, (description, equations, substitution) => {
+                this.parser.addStep(description, this.describeState(equations, substitution));
+            });
+            
+            let result;
+            if (outcome.substitution) {
+                result = this.formatSubstitution(outcome.substitution);
+                this.parser.addStep("Most general unifier:", result);
+                this.parser.addStep("Unified term:", this.parser.toLatex(this.applySubstitution(left, outcome.substitution)));
+            } else {
+                result = "Not unifiable";
+                this.parser.addStep(`Not unifiable: ${outcome.failure}`, "");
+            }
+            
             return {
-                kind: 'And',
-                left: this.distributeAndOverOr(ast.left),
-                right: this.distributeAndOverOr(ast.right)
+                steps: this.parser.steps,
+                result: result,
+                substitution: outcome.substitution
+            };
+        } catch (error) {
+            console.error("Error in unification:", error);
+            this.parser.addErrorStep(error);
+            return {
+                steps: this.parser.steps,
+                result: "Error",
+                substitution: null
             };
         }
-        
-        if (ast.kind === 'Not') {
-            return { kind: 'Not', child: this.distributeAndOverOr(ast.child) };
-        }
-        
-        return ast;
     }
 
-    extractClauses(ast) {
-        const clauses = [];
+    parseTerm(input) {
+        const normalized = this.parser.normalizeInput(this.parser.cleanInput(input));
+        return this.parser.parseTermInput(this.parser.tokenize(normalized));
+    }
+
+    // Martelli–Montanari: work through a set of equations with delete, orient, decompose,
+    // bind, symbol clash and occurs check. Atoms unify like terms, with the predicate as symbol.
+    // Returns { substitution } or { substitution: null, failure }; trace is told about every rule.
+    // A failing rule leaves its equation in E, so the trace does not end looking solved.
+    mgu(left, right, trace = () => {}) {
+        const equations = [[left, right]];
+        let substitution = {};
         
-        if (ast.kind === 'And') {
-            clauses.push(...this.extractClauses(ast.left));
-            clauses.push(...this.extractClauses(ast.right));
-        } else {
-            clauses.push(this.extractLiterals(ast));
+        while (equations.length > 0) {
+            const [s, t] = equations.shift();
+            const sLatex = this.parser.toLatex(s);
+            const tLatex = this.parser.toLatex(t);
+            
+            if (sLatex === tLatex) {
+                trace(`Delete $${sLatex} = ${tLatex}$:`, equations, substitution);
+                continue;
+            }
+            
+            if (s.kind !== 'Variable' && t.kind === 'Variable') {
+                equations.unshift([t, s]);
+                trace(`Orient $${sLatex} = ${tLatex}$:`, equations, substitution);
+                continue;
+            }
+            
+            if (s.kind === 'Variable') {
+                if (this.occursIn(s.name, t)) {
+                    const failure = `occurs check, $${sLatex}$ occurs in $${tLatex}$`;
+                    trace(`Occurs check fails for $${sLatex} = ${tLatex}$, $${sLatex}$ occurs in $${tLatex}$:`, [[s, t], ...equations], substitution);
+                    return { substitution: null, failure };
+                }
+                const binding = { [s.name]: t };
+                for (const name in substitution) {
+                    substitution[name] = this.applySubstitution(substitution[name], binding);
+                }
+                substitution = { ...substitution, ...binding };
+                for (let i = 0; i < equations.length; i++) {
+                    equations[i] = equations[i].map(term => this.applySubstitution(term, binding));
+                }
+                trace(`Bind $${sLatex} \\mapsto ${tLatex}$:`, equations, substitution);
+                continue;
+            }
+            
+            const sArgs = s.args || [];
+            const tArgs = t.args || [];
+            if (s.name !== t.name || sArgs.length !== tArgs.length) {
+                const failure = `symbol clash between $${s.name}/${sArgs.length}$ and $${t.name}/${tArgs.length}$`;
+                trace(`Symbol clash in $${sLatex} = ${tLatex}$, $${s.name}/${sArgs.length}$ and $${t.name}/${tArgs.length}$ differ:`, [[s, t], ...equations], substitution);
+                return { substitution: null, failure };
+            }
+            
+            equations.unshift(...sArgs.map((arg, i) => [arg, tArgs[i]]));
+            trace(`Decompose $${sLatex} = ${tLatex}$:`, equations, substitution);
         }
         
-        return clauses;
+        return { substitution };
     }
 
-    extractLiterals(ast) {
-        const literals = [];
-        
-        if (ast.kind === 'Or') {
-            literals.push(...this.extractLiterals(ast.left));
-            literals.push(...this.extractLiterals(ast.right));
-        } else if (ast.kind === 'Not') {
-            literals.push({ negated: true, formula: this.parser.toLatex(ast.child) });
-        } else {
-            literals.push({ negated: false, formula: this.parser.toLatex(ast) });
+    occursIn(variable, term) {
+        if (term.kind === 'Variable') return term.name === variable;
+        return (term.args || []).some(arg => this.occursIn(variable, arg));
+    }
+
+    applySubstitution(term, substitution) {
+        if (term.kind === 'Variable') {
+            return substitution.hasOwnProperty(term.name) ? substitution[term.name] : term;
         }
-        
-        return literals;
+        if (term.args) {
+            return { ...term, args: term.args.map(arg => this.applySubstitution(arg, substitution)) };
+        }
+        return term;
     }
 
-    formatAsClauses(clauses) {
-        if (clauses.length === 0) return "";
-        
-        return clauses.map(clause => {
-            const literals = clause.map(literal => 
-                literal.negated ? `\\lnot ${literal.formula}` : literal.formula
-            ).join(' \\lor ');
-            
-            return `(${literals})`;
-        }).join(' \\land ');
+    formatSubstitution(substitution) {
+        const bindings = Object.keys(substitution).map(name => `${name} \\mapsto ${this.parser.toLatex(substitution[name])}`);
+        return `\\{${bindings.join(', ')}\\}`;
+    }
+
+    describeState(equations, substitution) {
+        const pending = equations.map(([s, t]) => `${this.parser.toLatex(s)} = ${this.parser.toLatex(t)}`);
+        return `E = \\{${pending.join(', ')}\\},\\; \\sigma = ${this.formatSubstitution(substitution)}`;
     }
 }
 
-class HornClauseConverter {
-    constructor() {
+class SLDResolver {
+    constructor(maxDepth = 10, maxNodes = 200) {
         this.parser = new LogicParser();
+        // Recursive programs can have infinite SLD trees; branches deeper than this are cut
+        this.maxDepth = maxDepth;
+        this.maxNodes = maxNodes;
+        this.unifier = new Unifier();
     }
 
-    convert(input) {
+    solve(input, queryInput) {
         this.parser.stepCounter = 1;
         this.parser.steps = [];
-
-        // Step 1: Show original formula
-        let formula = this.parser.cleanInput(input);
-        this.parser.addStep("Original formula:", formula);
-
+        this.parser.addStep("Program formula:", this.parser.cleanInput(input));
+        
         try {
-            // Use ClausalConverter to get CNF and clauses
-            const clausalConverter = new ClausalConverter();
-            const clausalResult = clausalConverter.convert(input);
+            const hornConverter = new HornClauseConverter();
+            const hornResult = hornConverter.convert(input);
+            if (hornResult.result === "Error") {
+                throw this.parser.errorFromSteps(hornResult.steps);
+            }
+            if (!hornResult.isHorn) {
+                this.parser.addStep("The formula is not a set of Horn clauses, so it cannot be run as a program", "");
+                return { steps: this.parser.steps, result: "Error", tree: null, answers: [] };
+            }
             
-            // Add steps from clausal conversion
-            this.parser.steps = clausalResult.steps;
-            this.parser.stepCounter = this.parser.steps.length + 1;
+            const program = hornConverter.toProgram(hornResult.hornClauses);
+            program.forEach((rule, i) => {
+                this.parser.addStep(`(${i + 1}) ${rule.body.length === 0 ? 'fact' : 'rule'}:`, this.formatRule(rule));
+            });
             
-            // Analyze Horn clauses
-            const hornAnalysis = this.analyzeHornClauses(clausalResult.clauses);
+            const goals = this.parseQuery(queryInput);
+            this.parser.addStep("Query:", `?- ${goals.map(goal => this.parser.toLatex(goal)).join(', ')}`);
             
-            if (hornAnalysis.isHorn) {
-                this.parser.addStep("Formula is in Horn clause form!", "");
-                if (hornAnalysis.hornClauses.length > 0) {
-                    this.parser.addStep("Horn clauses:", hornAnalysis.displayForm);
-                }
-            } else {
-                this.parser.addStep("Note: Formula is not in Horn form", "");
+            this.program = program;
+            this.renameCounter = 0;
+            this.nodeCount = 0;
+            this.truncated = false;
+            this.answers = [];
+            this.queryVariables = [...new Set(goals.flatMap(goal => this.collectVariables(goal, [])))];
+            
+            const tree = this.expand(goals, {}, 0);
+            
+            this.answers.forEach((answer, i) => {
+                this.parser.addStep(`Answer ${i + 1}:`, answer);
+            });
+            if (this.answers.length === 0) {
+                this.parser.addStep("No answers: every branch of the SLD tree fails", "");
+            }
+            if (this.truncated) {
+                this.parser.addStep(`Some branches were cut at depth ${this.maxDepth} (or after ${this.maxNodes} nodes), so there may be more answers`, "");
             }
             
             return {
                 steps: this.parser.steps,
-                result: hornAnalysis.displayForm,
-                isHorn: hornAnalysis.isHorn,
-                hornClauses: hornAnalysis.hornClauses
+                result: this.answers.length > 0 ? "yes" : "no",
+                tree: tree,
+                answers: this.answers
             };
         } catch (error) {
-            console.error("Error in Horn clause conversion:", error);
-            this.parser.addStep("Error:", "Failed to process formula: " + error.message);
-            return {
-                steps: this.parser.steps,
-                result: "Error",
-                isHorn: false,
-                hornClauses: []
-            };
+            console.error("Error in SLD resolution:", error);
+            this.parser.addErrorStep(error);
+            return { steps: this.parser.steps, result: "Error", tree: null, answers: [] };
         }
     }
 
-    analyzeHornClauses(clauses) {
-        let hornClauses = [];
-        let isHorn = true;
+    // "?- P(a), Q(x)." -> list of atoms
+    parseQuery(queryInput) {
+        const text = this.parser.cleanInput(queryInput).replace(/^\?-/, '').replace(/\.\s*$/, '');
+        const tokens = this.parser.tokenize(this.parser.normalizeInput(text));
         
-        for (let clause of clauses) {
-            let positiveCount = 0;
-            let negativeCount = 0;
-            
-            for (let literal of clause) {
-                if (literal.negated) {
-                    negativeCount++;
-                } else {
-                    positiveCount++;
+        const goals = [];
+        let start = 0;
+        let depth = 0;
+        tokens.forEach((token, i) => {
+            if (token.type === '(') depth++;
+            if (token.type === ')') depth--;
+            if ((token.type === ',' && depth === 0) || i === tokens.length - 1) {
+                const end = token.type === ',' && depth === 0 ? i : i + 1;
+                const goal = this.parser.parse(tokens.slice(start, end));
+                if (goal.kind !== 'Predicate') {
+                    throw new Error(`Query goals must be atoms, found ${this.parser.toLatex(goal)}`);
                 }
+                goals.push(goal);
+                start = i + 1;
             }
-            
-            
-            if (positiveCount <= 1) {
-                hornClauses.push(clause);
-            } else {
-                isHorn = false;
-                hornClauses.push(clause); 
-            }
+        });
+        if (goals.length === 0) throw new Error("Empty query");
+        return goals;
+    }
+
+    // Leftmost goal first, program clauses in order, every branch explored up to the limits
+    expand(goals, substitution, depth) {
+        const node = { goals: goals, children: [], status: null };
+        this.nodeCount++;
+        
+        if (goals.length === 0) {
+            node.status = 'success';
+            node.answer = this.formatAnswer(substitution);
+            this.answers.push(node.answer);
+            return node;
+        }
+        if (depth >= this.maxDepth || this.nodeCount >= this.maxNodes) {
+            node.status = 'cut';
+            this.truncated = true;
+            return node;
         }
         
-        let displayForm = hornClauses.map(clause => {
-            const literals = clause.map(literal => 
-                literal.negated ? `\\lnot ${literal.formula}` : literal.formula
-            ).join(' \\lor ');
+        const [selected, ...rest] = goals;
+        this.program.forEach((rule, i) => {
+            const renamed = this.renameRule(rule, this.renameCounter + 1);
+            const outcome = this.unifier.mgu(selected, renamed.head);
+            if (!outcome.substitution) return;
             
-            return `(${literals})`;
-        }).join(' \\land ');
+            this.renameCounter++;
+            const mgu = outcome.substitution;
+            const resolvent = [...renamed.body, ...rest].map(goal => this.unifier.applySubstitution(goal, mgu));
+            node.children.push({
+                clause: i + 1,
+                mgu: this.unifier.formatSubstitution(mgu),
+                node: this.expand(resolvent, this.compose(substitution, mgu), depth + 1)
+            });
+        });
         
+        if (node.children.length === 0) node.status = 'failure';
+        return node;
+    }
+
+    // Fresh variables for every use of a program clause
+    renameRule(rule, index) {
+        const renaming = {};
+        for (const name of this.collectVariables(rule.head, rule.body.flatMap(atom => this.collectVariables(atom, [])))) {
+            renaming[name] = { kind: 'Variable', name: `${name}_{${index}}` };
+        }
         return {
-            isHorn: isHorn,
-            hornClauses: hornClauses,
-            displayForm: displayForm
+            head: this.unifier.applySubstitution(rule.head, renaming),
+            body: rule.body.map(atom => this.unifier.applySubstitution(atom, renaming))
         };
     }
-}
 
+    collectVariables(term, names) {
+        if (term.kind === 'Variable') {
+            if (!names.includes(term.name)) names.push(term.name);
+        } else if (term.args) {
+            term.args.forEach(arg => this.collectVariables(arg, names));
+        }
+        return names;
+    }
 
-function getInput(){
-    const textArea = document.querySelector("textarea");
-    return textArea.value;
-}
+    compose(substitution, mgu) {
+        const composed = {};
+        for (const name in substitution) {
+            composed[name] = this.unifier.applySubstitution(substitution[name], mgu);
+        }
+        for (const name in mgu) {
+            if (!composed.hasOwnProperty(name)) composed[name] = mgu[name];
+        }
+        return composed;
+    }
 
-function clearFunction(){
-    const fnc = document.getElementById("FNC");
-    const fdc = document.getElementById("FDC");
-    const clausal = document.getElementById("ClausalFormula");
-    const horn = document.getElementById("HorneClause");
-    document.getElementById("form").reset();
-    fnc.innerHTML = "";
-    fdc.innerHTML = "";
-    clausal.innerHTML = "";
-    horn.innerHTML = "";
+    // The computed answer is the substitution restricted to the query variables
+    formatAnswer(substitution) {
+        if (this.queryVariables.length === 0) return "\\text{yes}";
+        const answer = {};
+        for (const name of this.queryVariables) {
+            answer[name] = this.unifier.applySubstitution({ kind: 'Variable', name }, substitution);
+        }
+        return this.unifier.formatSubstitution(answer);
+    }
+
+    formatRule(rule) {
+        const head = this.parser.toLatex(rule.head);
+        if (rule.body.length === 0) return head;
+        return `${head} \\leftarrow ${rule.body.map(atom => this.parser.toLatex(atom)).join(', ')}`;
+    }
 }
 
-function fncFunction(){
+function prenexFunction(){
     const inputValue = getInput();
     if (!inputValue.trim()) return;
     
     try {
-        const converter = new CNFConverter();
+        const converter = new PrenexConverter(getPrenexStrategy());
         const result = converter.convert(inputValue);
         
         let html = "";
         for (let step of result.steps) {
             html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
                         <strong>Step ${step.step}:</strong> ${step.description}<br>
-                        <span style="font-family: monospace;">$${step.formula}$</span>
+                        ${step.diagnostic ? diagnosticHtml(step.diagnostic) : `<span style="font-family: monospace;">$${step.formula}$</span>`}
                      </div>`;
         }
-        html += `<div style="margin: 15px 0; padding: 15px; background: #e8f5e8; border-radius: 5px; border: 2px solid #4caf50;">
-                    <strong>Final CNF Result:</strong><br>
+        html += `<div style="margin: 15px 0; padding: 15px; background: #fff8e1; border-radius: 5px; border: 2px solid #ffc107;">
+                    <strong>Final Prenex Result:</strong><br>
                     <span style="font-family: monospace;">$${result.result}$</span>
                  </div>`;
         
-        const fnc = document.getElementById("FNC");
-        fnc.innerHTML = html;
-        MathJax.typesetPromise([fnc]);
+        // Create or get the Prenex result area
+        let prenexArea = document.getElementById("PrenexFormula");
+        if (!prenexArea) {
+            prenexArea = document.createElement("div");
+            prenexArea.id = "PrenexFormula";
+            document.body.appendChild(prenexArea);
+        }
+        
+        prenexArea.innerHTML = html;
+        MathJax.typesetPromise([prenexArea]);
         
     } catch (error) {
-        console.error("Error in CNF conversion:", error);
-        const fnc = document.getElementById("FNC");
-        fnc.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+        console.error("Error in Prenex conversion:", error);
+        let prenexArea = document.getElementById("PrenexFormula");
+        if (!prenexArea) {
+            prenexArea = document.createElement("div");
+            prenexArea.id = "PrenexFormula";
+            document.body.appendChild(prenexArea);
+        }
+        prenexArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
     }
 }
 
-function fdcFunction(){
+function skolemFunction(){
     const inputValue = getInput();
     if (!inputValue.trim()) return;
     
     try {
-        const converter = new DNFConverter();
+        const converter = new SkolemConverter(getPrenexStrategy());
         const result = converter.convert(inputValue);
         
         let html = "";
         for (let step of result.steps) {
             html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
                         <strong>Step ${step.step}:</strong> ${step.description}<br>
-                        <span style="font-family: monospace;">$${step.formula}$</span>
+                        ${step.diagnostic ? diagnosticHtml(step.diagnostic) : `<span style="font-family: monospace;">$${step.formula}$</span>`}
                      </div>`;
         }
-        html += `<div style="margin: 15px 0; padding: 15px; background: #ffe8e8; border-radius: 5px; border: 2px solid #ff6b6b;">
-                    <strong>Final DNF Result:</strong><br>
+        html += `<div style="margin: 15px 0; padding: 15px; background: #f3e5f5; border-radius: 5px; border: 2px solid #9c27b0;">
+                    <strong>Final Skolem Normal Form:</strong><br>
                     <span style="font-family: monospace;">$${result.result}$</span>
                  </div>`;
         
-        const fdc = document.getElementById("FDC");
-        fdc.innerHTML = html;
-        MathJax.typesetPromise([fdc]);
+        const skolemArea = document.getElementById("SkolemFormula");
+        if (skolemArea) {
+            skolemArea.innerHTML = html;
+            MathJax.typesetPromise([skolemArea]);
+        }
         
     } catch (error) {
-        console.error("Error in DNF conversion:", error);
-        const fdc = document.getElementById("FDC");
-        fdc.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+        console.error("Error in Skolem conversion:", error);
+        const skolemArea = document.getElementById("SkolemFormula");
+        if (skolemArea) {
+            skolemArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+        }
     }
 }
 
-function conjuctiveFunction(){
+function nnfFunction(){
     const inputValue = getInput();
     if (!inputValue.trim()) return;
     
     try {
-        const converter = new ClausalConverter();
+        const converter = new NegationNormalFormConverter();
         const result = converter.convert(inputValue);
         
         let html = "";
         for (let step of result.steps) {
             html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
                         <strong>Step ${step.step}:</strong> ${step.description}<br>
-                        <span style="font-family: monospace;">$${step.formula}$</span>
+                        ${step.diagnostic ? diagnosticHtml(step.diagnostic) : `<span style="font-family: monospace;">$${step.formula}$</span>`}
                      </div>`;
         }
-        html += `<div style="margin: 15px 0; padding: 15px; background: #e8e8ff; border-radius: 5px; border: 2px solid #6b6bff;">
-                    <strong>Final Clausal Form:</strong><br>
+        html += `<div style="margin: 15px 0; padding: 15px; background: #e0f7fa; border-radius: 5px; border: 2px solid #00acc1;">
+                    <strong>Final Negation Normal Form:</strong><br>
                     <span style="font-family: monospace;">$${result.result}$</span>
                  </div>`;
         
-        // Display clauses as a set
-        if (result.clauses && result.clauses.length > 0) {
-            html += `<div style="margin: 15px 0; padding: 15px; background: #f0f0ff; border-radius: 5px; border: 1px solid #9999ff;">
-                        <strong>Clauses as Set:</strong><br>
-                        <span style="font-family: monospace;">$\\{${result.clauses.map(c => c.map(l => l.negated ? '¬' + l.formula : l.formula).join(', '))}\\}$</span>
-                     </div>`;
+        const nnfArea = document.getElementById("NNF");
+        if (nnfArea) {
+            nnfArea.innerHTML = html;
+            MathJax.typesetPromise([nnfArea]);
         }
         
-        const clausalArea = document.getElementById("ClausalFormula");
+    } catch (error) {
+        console.error("Error in NNF conversion:", error);
+        const nnfArea = document.getElementById("NNF");
+        if (nnfArea) {
+            nnfArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+        }
+    }
+}
+
+function truthTableFunction(){
+    const inputValue = getInput();
+    if (!inputValue.trim()) return;
+    
+    const truthTableArea = document.getElementById("TruthTable");
+    if (!truthTableArea) return;
+    
+    try {
+        const generator = new TruthTableGenerator();
+        const result = generator.generate(inputValue);
         
-        if (clausalArea) {
-            clausalArea.innerHTML = html;
-            MathJax.typesetPromise([clausalArea]);
+        if (result.error) {
+            truthTableArea.innerHTML = result.diagnostic
+                ? diagnosticHtml(result.diagnostic)
+                : `<p style='color: red;'>${result.error}</p>`;
+            return;
         }
         
-    } catch (error) {
-        console.error("Error in Clausal conversion:", error);
-        const clausalArea = document.getElementById("ClausalFormula");
-        if (clausalArea) {
-            clausalArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+        const cell = "padding: 4px 8px; border: 1px solid #ccc;";
+        const mark = value => value ? "T" : "F";
+        
+        let html = `<table style="margin: 10px auto; border-collapse: collapse;"><tr>`;
+        for (let atom of result.atoms) {
+            html += `<th style="${cell} background: #f5f5f5;">$${atom}$</th>`;
+        }
+        for (let column of result.columns) {
+            html += `<th style="${cell}">$${column}$</th>`;
         }
+        html += `</tr>`;
+        for (let row of result.rows) {
+            html += `<tr>`;
+            for (let value of row.atoms) {
+                html += `<td style="${cell} background: #f5f5f5;">${mark(value)}</td>`;
+            }
+            row.values.forEach((value, i) => {
+                const isResult = i === row.values.length - 1;
+                html += `<td style="${cell}${isResult ? ' font-weight: bold;' : ''}">${mark(value)}</td>`;
+            });
+            html += `</tr>`;
+        }
+        html += `</table>`;
+        html += `<div style="margin: 15px 0; padding: 15px; background: #e0f7fa; border-radius: 5px; border: 2px solid #00acc1;">
+                    <strong>The formula is a ${result.classification}.</strong>
+                 </div>`;
+        
+        truthTableArea.innerHTML = html;
+        MathJax.typesetPromise([truthTableArea]);
+        
+    } catch (error) {
+        console.error("Error in truth table generation:", error);
+        truthTableArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
     }
 }
 
-function hornFunction(){
+function resolutionFunction(){
     const inputValue = getInput();
-    if (!inputValue.trim()) return;
+    const goalValue = getGoal();
+    const resolutionArea = document.getElementById("ResolutionProof");
+    if (!resolutionArea) return;
+    if (!goalValue.trim()) {
+        resolutionArea.innerHTML = "<p>Write a goal to prove it from the formula above by resolution.</p>";
+        return;
+    }
+    
+    try {
+        const prover = new ResolutionProver();
+        const result = prover.prove([inputValue], goalValue);
+        
+        let html = "";
+        for (let step of result.steps) {
+            html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
+                        <strong>Step ${step.step}:</strong> ${step.description}<br>`;
+            if (step.diagnostic) {
+                html += diagnosticHtml(step.diagnostic);
+            } else if (step.formula) {
+                html += `<span style="font-family: monospace;">$${step.formula}$</span>`;
+            }
+            html += `</div>`;
+        }
+        
+        const proved = result.result === 'refuted';
+        const bgColor = proved ? '#e8ffe8' : '#ffe8e8';
+        const borderColor = proved ? '#4caf50' : '#ff6b6b';
+        const statusText = proved ? 'Proved by resolution' : (result.result === 'Error' ? 'Error' : 'Not proved');
+        html += `<div style="margin: 15px 0; padding: 15px; background: ${bgColor}; border-radius: 5px; border: 2px solid ${borderColor};">
+                    <strong>${statusText}</strong>
+                 </div>`;
+        
+        resolutionArea.innerHTML = html;
+        MathJax.typesetPromise([resolutionArea]);
+        
+    } catch (error) {
+        console.error("Error in resolution proof:", error);
+        resolutionArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+    }
+}
+
+function unifyFunction(){
+    const unifyArea = document.getElementById("Unification");
+    if (!unifyArea) return;
+    const left = document.getElementById("unifyLeft").value;
+    const right = document.getElementById("unifyRight").value;
+    if (!left.trim() || !right.trim()) {
+        unifyArea.innerHTML = "<p>Write two atoms or terms to unify (u to z are variables).</p>";
+        return;
+    }
     
     try {
-        const converter = new HornClauseConverter();
-        const result = converter.convert(inputValue);
+        const unifier = new Unifier();
+        const result = unifier.unify(left, right);
         
         let html = "";
         for (let step of result.steps) {
             html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
                         <strong>Step ${step.step}:</strong> ${step.description}<br>`;
-            if (step.formula) {
+            if (step.diagnostic) {
+                html += diagnosticHtml(step.diagnostic);
+            } else if (step.formula) {
                 html += `<span style="font-family: monospace;">$${step.formula}$</span>`;
             }
             html += `</div>`;
         }
         
-        // Show Horn clause result
-        const bgColor = result.isHorn ? '#e8ffe8' : '#ffe8e8';
-        const borderColor = result.isHorn ? '#4caf50' : '#ff6b6b';
-        const statusText = result.isHorn ? 'Valid Horn Formula' : 'Not a Horn Formula';
-        
+        const unified = !!result.substitution;
+        const bgColor = unified ? '#e8ffe8' : '#ffe8e8';
+        const borderColor = unified ? '#4caf50' : '#ff6b6b';
         html += `<div style="margin: 15px 0; padding: 15px; background: ${bgColor}; border-radius: 5px; border: 2px solid ${borderColor};">
-                    <strong>${statusText}:</strong><br>`;
-        if (result.result) {
+                    <strong>${unified ? 'Most general unifier:' : result.result}</strong><br>`;
+        if (unified) {
             html += `<span style="font-family: monospace;">$${result.result}$</span>`;
         }
         html += `</div>`;
         
-        const hornArea = document.getElementById("HorneClause");
-        if (hornArea) {
-            hornArea.innerHTML = html;
-            MathJax.typesetPromise([hornArea]);
-        }
+        unifyArea.innerHTML = html;
+        MathJax.typesetPromise([unifyArea]);
         
     } catch (error) {
-        console.error("Error in Horn clause conversion:", error);
-        const hornArea = document.getElementById("HorneClause");
-        if (hornArea) {
-            hornArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
-        }
+        console.error("Error in unification:", error);
+        unifyArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
     }
 }
 
-
-class PrenexConverter {
-    constructor() {
+class DPLLSolver {
+    constructor(learning = false, maxSteps = 1000) {
         this.parser = new LogicParser();
+        // false: classic DPLL with chronological backtracking; true: CDCL with first-UIP learning
+        this.learning = learning;
+        this.maxSteps = maxSteps;
     }
 
-    convert(input) {
+    solve(input) {
         this.parser.stepCounter = 1;
         this.parser.steps = [];
-
-        // Step 1: Show original formula
-        let formula = this.parser.cleanInput(input);
-        this.parser.addStep("Original formula:", formula);
-
+        this.parser.addStep("Original formula:", this.parser.cleanInput(input));
+        
         try {
-            // Normalize and parse
-            const normalized = this.parser.normalizeInput(formula);
-            const tokens = this.parser.tokenize(normalized);
-            const ast = this.parser.parse(tokens);
-            
-            // Step 2: Eliminate implications
-            const withoutImpl = this.eliminateImplications(ast);
-            this.parser.addStep("Eliminate implications:", this.parser.toLatex(withoutImpl));
-            
-            // Step 3: Apply De Morgan's laws
-            const withDeMorgan = this.applyDeMorgan(withoutImpl);
-            if (this.parser.toLatex(withDeMorgan) !== this.parser.toLatex(withoutImpl)) {
-                this.parser.addStep("Apply De Morgan's laws:", this.parser.toLatex(withDeMorgan));
-            }
-            
-            // Step 4: Convert to Prenex form
-            const prenexForm = this.convertToPrenex(withDeMorgan);
-            if (this.parser.toLatex(prenexForm) !== this.parser.toLatex(withDeMorgan)) {
-                this.parser.addStep("Convert to Prenex form:", this.parser.toLatex(prenexForm));
+            const clausalConverter = new ClausalConverter();
+            const clausalResult = clausalConverter.convert(input);
+            if (clausalResult.result === "Error") {
+                throw this.parser.errorFromSteps(clausalResult.steps);
             }
-            
-            // Final result
-            const result = this.parser.toLatex(prenexForm);
-            this.parser.addStep("Prenex Result:", result);
-            
-            return {
-                steps: this.parser.steps,
-                result: result
-            };
+            return this.solveClauses(clausalResult.clauses);
         } catch (error) {
-            console.error("Error in Prenex conversion:", error);
-            this.parser.addStep("Error:", "Failed to process formula: " + error.message);
-            return {
-                steps: this.parser.steps,
-                result: "Error"
-            };
+            console.error("Error in SAT solving:", error);
+            this.parser.addErrorStep(error);
+            return { steps: this.parser.steps, result: "Error", assignment: null };
         }
     }
 
-    eliminateImplications(ast) {
-        switch (ast.kind) {
-            case 'Implies':
-                return {
-                    kind: 'Or',
-                    left: { kind: 'Not', child: this.eliminateImplications(ast.left) },
-                    right: this.eliminateImplications(ast.right)
-                };
-            case 'Iff':
-                return {
-                    kind: 'And',
-                    left: {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.eliminateImplications(ast.left) },
-                        right: this.eliminateImplications(ast.right)
-                    },
-                    right: {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.eliminateImplications(ast.right) },
-                        right: this.eliminateImplications(ast.left)
-                    }
-                };
-            case 'Not':
-                return { kind: 'Not', child: this.eliminateImplications(ast.child) };
-            case 'And':
-                return {
-                    kind: 'And',
-                    left: this.eliminateImplications(ast.left),
-                    right: this.eliminateImplications(ast.right)
-                };
-            case 'Or':
-                return {
-                    kind: 'Or',
-                    left: this.eliminateImplications(ast.left),
-                    right: this.eliminateImplications(ast.right)
-                };
-            case 'ForAll':
-                return {
-                    kind: 'ForAll',
-                    variable: ast.variable,
-                    body: this.eliminateImplications(ast.body)
-                };
-            case 'Exists':
-                return {
-                    kind: 'Exists',
-                    variable: ast.variable,
-                    body: this.eliminateImplications(ast.body)
-                };
-            default:
-                return ast;
+    // Clauses are ClausalConverter literal lists; every distinct literal text is one atom
+    solveClauses(clauseList) {
+        if (clauseList.some(clause => clause.some(literal => literal.atom && this.containsVariables(literal.atom)))) {
+            throw new Error("The clause set has variables; only propositional or ground clauses can be decided");
+        }
+        
+        this.atoms = [...new Set(clauseList.flatMap(clause => clause.map(literal => literal.formula)))].sort();
+        const index = new Map(this.atoms.map((atom, i) => [atom, i + 1]));
+        // DIMACS-style integers: atom i is i, its negation is -i
+        this.clauses = clauseList.map(clause => clause.map(literal => literal.negated ? -index.get(literal.formula) : index.get(literal.formula)));
+        this.inputCount = this.clauses.length;
+        this.clauses.forEach((clause, i) => {
+            this.parser.addStep(`(${i + 1}) input clause`, this.formatClause(clause));
+        });
+        
+        this.values = new Map();
+        this.trail = [];
+        this.level = 0;
+        this.stepsTaken = 0;
+        
+        const outcome = this.search();
+        
+        if (outcome === 'sat') {
+            const assignment = {};
+            for (const atom of this.atoms) {
+                assignment[atom] = this.values.has(index.get(atom)) ? this.values.get(index.get(atom)).value : false;
+            }
+            const free = this.atoms.filter(atom => !this.values.has(index.get(atom)));
+            if (free.length > 0) {
+                this.parser.addStep(`Every clause is satisfied; the unassigned atoms are set to false:`, free.join(', '));
+            }
+            this.parser.addStep("SAT. Satisfying assignment:", this.formatAssignment(assignment));
+            return { steps: this.parser.steps, result: "SAT", assignment: assignment };
+        }
+        if (outcome === 'unsat') {
+            this.parser.addStep("UNSAT: no assignment satisfies every clause", "");
+        } else {
+            this.parser.addStep(`Stopped after ${this.maxSteps} steps without an answer`, "");
         }
+        return { steps: this.parser.steps, result: outcome === 'unsat' ? "UNSAT" : "limit", assignment: null };
     }
 
-    applyDeMorgan(ast) {
-        switch (ast.kind) {
-            case 'Not':
-                if (ast.child.kind === 'And') {
-                    return {
-                        kind: 'Or',
-                        left: { kind: 'Not', child: this.applyDeMorgan(ast.child.left) },
-                        right: { kind: 'Not', child: this.applyDeMorgan(ast.child.right) }
-                    };
-                } else if (ast.child.kind === 'Or') {
-                    return {
-                        kind: 'And',
-                        left: { kind: 'Not', child: this.applyDeMorgan(ast.child.left) },
-                        right: { kind: 'Not', child: this.applyDeMorgan(ast.child.right) }
-                    };
-                } else if (ast.child.kind === 'Not') {
-                    return this.applyDeMorgan(ast.child.child); // Double negation
-                } else if (ast.child.kind === 'ForAll') {
-                    return {
-                        kind: 'Exists',
-                        variable: ast.child.variable,
-                        body: { kind: 'Not', child: this.applyDeMorgan(ast.child.body) }
-                    };
-                } else if (ast.child.kind === 'Exists') {
-                    return {
-                        kind: 'ForAll',
-                        variable: ast.child.variable,
-                        body: { kind: 'Not', child: this.applyDeMorgan(ast.child.body) }
-                    };
+    search() {
+        while (this.stepsTaken++ < this.maxSteps) {
+            const conflict = this.propagate();
+            
+            if (conflict !== null) {
+                this.parser.addStep(`Conflict: clause (${conflict + 1}) is false`, this.formatClause(this.clauses[conflict]));
+                if (this.level === 0) return 'unsat';
+                if (this.learning ? !this.learnAndBackjump(conflict) : !this.backtrack()) return 'unsat';
+                continue;
+            }
+            
+            if (this.clauses.every(clause => clause.some(literal => this.valueOf(literal) === true))) return 'sat';
+            if (this.assignPureLiterals()) continue;
+            
+            const variable = this.atoms.findIndex((atom, i) => !this.values.has(i + 1)) + 1;
+            this.level++;
+            this.assign(variable, null, 'decision');
+            this.parser.addStep(`Decide at level ${this.level}:`, `${this.atoms[variable - 1]} = 1`);
+        }
+        return 'limit';
+    }
+
+    // Assign every unit literal until nothing changes; returns the index of a false clause or null
+    propagate() {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let i = 0; i < this.clauses.length; i++) {
+                const clause = this.clauses[i];
+                if (clause.some(literal => this.valueOf(literal) === true)) continue;
+                
+                const open = clause.filter(literal => this.valueOf(literal) === undefined);
+                if (open.length === 0) return i;
+                if (open.length === 1) {
+                    this.assign(open[0], i, 'propagation');
+                    this.parser.addStep(`Unit propagation from clause (${i + 1}):`, this.formatLiteral(open[0]));
+                    changed = true;
                 }
-                return ast;
-            case 'And':
-                return {
-                    kind: 'And',
-                    left: this.applyDeMorgan(ast.left),
-                    right: this.applyDeMorgan(ast.right)
-                };
-            case 'Or':
-                return {
-                    kind: 'Or',
-                    left: this.applyDeMorgan(ast.left),
-                    right: this.applyDeMorgan(ast.right)
-                };
-            case 'ForAll':
-                return {
-                    kind: 'ForAll',
-                    variable: ast.variable,
-                    body: this.applyDeMorgan(ast.body)
-                };
-            case 'Exists':
-                return {
-                    kind: 'Exists',
-                    variable: ast.variable,
-                    body: this.applyDeMorgan(ast.body)
-                };
-            default:
-                return ast;
+            }
         }
+        return null;
     }
 
-    convertToPrenex(ast) {
-        
-        if (ast.kind === 'ForAll' || ast.kind === 'Exists') {
-            const bodyPrenex = this.convertToPrenex(ast.body);
-            return {
-                kind: ast.kind,
-                variable: ast.variable,
-                body: bodyPrenex
-            };
+    // A literal whose complement occurs in no open clause can be made true without harm
+    assignPureLiterals() {
+        const occurrences = new Set();
+        for (const clause of this.clauses) {
+            if (clause.some(literal => this.valueOf(literal) === true)) continue;
+            clause.filter(literal => this.valueOf(literal) === undefined).forEach(literal => occurrences.add(literal));
         }
         
+        const pure = [...occurrences].filter(literal => !occurrences.has(-literal));
+        if (pure.length === 0) return false;
         
-        if (ast.kind === 'And' || ast.kind === 'Or') {
-            const leftPrenex = this.convertToPrenex(ast.left);
-            const rightPrenex = this.convertToPrenex(ast.right);
-            
-            
-            const leftQuantifiers = this.extractQuantifiers(leftPrenex);
-            const rightQuantifiers = this.extractQuantifiers(rightPrenex);
-            
-            
-            const allQuantifiers = [...leftQuantifiers, ...rightQuantifiers];
-            
-            
-            const leftMatrix = this.removeQuantifiers(leftPrenex);
-            const rightMatrix = this.removeQuantifiers(rightPrenex);
-            
-            
-            const matrix = {
-                kind: ast.kind,
-                left: leftMatrix,
-                right: rightMatrix
-            };
-            
-            
-            return this.applyQuantifiers(allQuantifiers, matrix);
+        for (const literal of pure) {
+            // Clause learning needs exactly one unexplained literal per level
+            if (this.learning) this.level++;
+            this.assign(literal, null, 'pure');
+            this.parser.addStep(`Pure literal${this.learning ? ` (level ${this.level})` : ''}:`, this.formatLiteral(literal));
         }
-        
-        
-        if (ast.kind === 'Not') {
-            const childPrenex = this.convertToPrenex(ast.child);
+        return true;
+    }
+
+    // DPLL: undo up to the latest decision that has not been flipped yet and try its other value
+    backtrack() {
+        while (this.trail.length > 0) {
+            const literal = this.trail.pop();
+            const entry = this.values.get(Math.abs(literal));
+            this.values.delete(Math.abs(literal));
             
-        
-            if (childPrenex.kind === 'ForAll' || childPrenex.kind === 'Exists') {
-                const newKind = childPrenex.kind === 'ForAll' ? 'Exists' : 'ForAll';
-                return {
-                    kind: newKind,
-                    variable: childPrenex.variable,
-                    body: { kind: 'Not', child: this.convertToPrenex(childPrenex.body) }
-                };
+            if (entry.kind === 'decision') {
+                this.assign(-literal, null, 'flipped');
+                this.parser.addStep(`Backtrack to level ${this.level} and try the other value:`, `${this.atoms[Math.abs(literal) - 1]} = 0`);
+                return true;
             }
-            
-            
-            return { kind: 'Not', child: childPrenex };
+            if (entry.kind === 'flipped') this.level--;
         }
-        
-        return ast;
+        return false;
     }
 
-    extractQuantifiers(ast) {
-        const quantifiers = [];
-        let current = ast;
+    // CDCL: resolve the conflict clause with the reasons of the current level until one
+    // literal of that level is left (the first unique implication point), learn the result
+    // and jump back to the second highest level in it, where it becomes a unit clause
+    learnAndBackjump(conflict) {
+        let learned = [...this.clauses[conflict]];
+        const atLevel = clause => clause.filter(literal => this.values.get(Math.abs(literal)).level === this.level);
         
-        while (current.kind === 'ForAll' || current.kind === 'Exists') {
-            quantifiers.push({
-                kind: current.kind,
-                variable: current.variable
-            });
-            current = current.body;
+        for (let i = this.trail.length - 1; atLevel(learned).length > 1; i--) {
+            const literal = this.trail[i];
+            const entry = this.values.get(Math.abs(literal));
+            if (!learned.includes(-literal) || entry.reason === null) continue;
+            learned = [...new Set([
+                ...learned.filter(other => other !== -literal),
+                ...this.clauses[entry.reason].filter(other => other !== literal)
+            ])];
         }
         
-        return quantifiers;
+        const levels = learned.map(literal => this.values.get(Math.abs(literal)).level).filter(level => level !== this.level);
+        const target = levels.length > 0 ? Math.max(...levels) : 0;
+        
+        this.clauses.push(learned);
+        this.parser.addStep(`Learn clause (${this.clauses.length}) and backjump to level ${target}:`, this.formatClause(learned));
+        
+        while (this.trail.length > 0 && this.values.get(Math.abs(this.trail[this.trail.length - 1])).level > target) {
+            this.values.delete(Math.abs(this.trail.pop()));
+        }
+        this.level = target;
+        return true;
     }
 
-    removeQuantifiers(ast) {
-        let current = ast;
-        while (current.kind === 'ForAll' || current.kind === 'Exists') {
-            current = current.body;
-        }
-        return current;
+    assign(literal, reason, kind) {
+        this.values.set(Math.abs(literal), { value: literal > 0, level: this.level, reason: reason, kind: kind });
+        this.trail.push(literal);
     }
 
-    applyQuantifiers(quantifiers, matrix) {
-        let result = matrix;
-        for (let i = quantifiers.length - 1; i >= 0; i--) {
-            result = {
-                kind: quantifiers[i].kind,
-                variable: quantifiers[i].variable,
-                body: result
-            };
+    valueOf(literal) {
+        const entry = this.values.get(Math.abs(literal));
+        if (!entry) return undefined;
+        return literal > 0 ? entry.value : !entry.value;
+    }
+
+    containsVariables(term) {
+        if (term.kind === 'Variable') return true;
+        if (term.args) return term.args.some(arg => this.containsVariables(arg));
+        if (term.left) return this.containsVariables(term.left) || this.containsVariables(term.right);
+        return false;
+    }
+
+    formatLiteral(literal) {
+        const atom = this.atoms[Math.abs(literal) - 1];
+        return literal > 0 ? atom : this.parser.negateAtom(atom);
+    }
+
+    formatClause(clause) {
+        if (clause.length === 0) return "\\square";
+        return `(${clause.map(literal => this.formatLiteral(literal)).join(' \\lor ')})`;
+    }
+
+    formatAssignment(assignment) {
+        return Object.keys(assignment).map(atom => `${atom} = ${assignment[atom] ? 1 : 0}`).join(',\\; ');
+    }
+}
+
+function renderSLDNode(node){
+    let label;
+    if (node.status === 'success') {
+        label = `$\\square$ <span style="color: #4caf50;">success, $${node.answer}$</span>`;
+    } else {
+        label = `$\\leftarrow ${node.goals.map(goal => new LogicParser().toLatex(goal)).join(', ')}$`;
+        if (node.status === 'failure') label += ` <span style="color: #ff6b6b;">fail</span>`;
+        if (node.status === 'cut') label += ` <span style="color: #ff9800;">depth limit</span>`;
+    }
+    
+    let html = `<li style="margin: 4px 0;">${label}`;
+    if (node.children.length > 0) {
+        html += `<ul style="list-style: none; padding-left: 20px; border-left: 1px solid #ccc;">`;
+        for (let child of node.children) {
+            html += `<li style="margin: 4px 0;"><em>clause (${child.clause}), $${child.mgu}$</em><ul style="list-style: none; padding-left: 20px;">${renderSLDNode(child.node)}</ul></li>`;
         }
-        return result;
+        html += `</ul>`;
     }
+    return html + `</li>`;
 }
 
-function prenexFunction(){
+function sldFunction(){
     const inputValue = getInput();
-    if (!inputValue.trim()) return;
+    const sldArea = document.getElementById("SLDResolution");
+    if (!sldArea) return;
+    const queryValue = document.getElementById("query").value;
+    if (!inputValue.trim() || !queryValue.trim()) {
+        sldArea.innerHTML = "<p>Write a query such as ?- P(a) to run the Horn clauses above as a program.</p>";
+        return;
+    }
     
     try {
-        const converter = new PrenexConverter();
-        const result = converter.convert(inputValue);
+        const resolver = new SLDResolver();
+        const result = resolver.solve(inputValue, queryValue);
         
         let html = "";
         for (let step of result.steps) {
             html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
-                        <strong>Step ${step.step}:</strong> ${step.description}<br>
-                        <span style="font-family: monospace;">$${step.formula}$</span>
+                        <strong>Step ${step.step}:</strong> ${step.description}<br>`;
+            if (step.diagnostic) {
+                html += diagnosticHtml(step.diagnostic);
+            } else if (step.formula) {
+                html += `<span style="font-family: monospace;">$${step.formula}$</span>`;
+            }
+            html += `</div>`;
+        }
+        
+        if (result.tree) {
+            html += `<div style="margin: 15px 0; padding: 15px; background: #f5f5f5; border-radius: 5px; text-align: left;">
+                        <strong>SLD tree:</strong>
+                        <ul style="list-style: none; padding-left: 0;">${renderSLDNode(result.tree)}</ul>
                      </div>`;
         }
-        html += `<div style="margin: 15px 0; padding: 15px; background: #fff8e1; border-radius: 5px; border: 2px solid #ffc107;">
-                    <strong>Final Prenex Result:</strong><br>
-                    <span style="font-family: monospace;">$${result.result}$</span>
+        
+        const answered = result.answers.length > 0;
+        html += `<div style="margin: 15px 0; padding: 15px; background: ${answered ? '#e8ffe8' : '#ffe8e8'}; border-radius: 5px; border: 2px solid ${answered ? '#4caf50' : '#ff6b6b'};">
+                    <strong>${answered ? `${result.answers.length} answer(s)` : (result.result === 'Error' ? 'Error' : 'No answers')}</strong>
                  </div>`;
         
-        // Create or get the Prenex result area
-        let prenexArea = document.getElementById("PrenexFormula");
-        if (!prenexArea) {
-            prenexArea = document.createElement("div");
-            prenexArea.id = "PrenexFormula";
-            document.body.appendChild(prenexArea);
+        sldArea.innerHTML = html;
+        MathJax.typesetPromise([sldArea]);
+        
+    } catch (error) {
+        console.error("Error in SLD resolution:", error);
+        sldArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+    }
+}
+
+function satFunction(){
+    const inputValue = getInput();
+    if (!inputValue.trim()) return;
+    const satArea = document.getElementById("SATSolver");
+    if (!satArea) return;
+    
+    try {
+        const solver = new DPLLSolver(getSatAlgorithm() === "cdcl");
+        const result = solver.solve(inputValue);
+        
+        let html = "";
+        for (let step of result.steps) {
+            html += `<div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
+                        <strong>Step ${step.step}:</strong> ${step.description}<br>`;
+            if (step.diagnostic) {
+                html += diagnosticHtml(step.diagnostic);
+            } else if (step.formula) {
+                html += `<span style="font-family: monospace;">$${step.formula}$</span>`;
+            }
+            html += `</div>`;
         }
         
-        prenexArea.innerHTML = html;
-        MathJax.typesetPromise([prenexArea]);
+        const satisfiable = result.result === 'SAT';
+        const bgColor = satisfiable ? '#e8ffe8' : '#ffe8e8';
+        const borderColor = satisfiable ? '#4caf50' : '#ff6b6b';
+        const statusText = result.result === 'limit' ? 'Step limit reached' : result.result;
+        html += `<div style="margin: 15px 0; padding: 15px; background: ${bgColor}; border-radius: 5px; border: 2px solid ${borderColor};">
+                    <strong>${statusText}</strong>`;
+        if (satisfiable) {
+            html += `<br><span style="font-family: monospace;">$${solver.formatAssignment(result.assignment)}$</span>`;
+        }
+        html += `</div>`;
+        
+        satArea.innerHTML = html;
+        MathJax.typesetPromise([satArea]);
         
     } catch (error) {
-        console.error("Error in Prenex conversion:", error);
-        let prenexArea = document.getElementById("PrenexFormula");
-        if (!prenexArea) {
-            prenexArea = document.createElement("div");
-            prenexArea.id = "PrenexFormula";
-            document.body.appendChild(prenexArea);
-        }
-        prenexArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
+        console.error("Error in SAT solving:", error);
+        satArea.innerHTML = "<p style='color: red;'>Error processing formula</p>";
     }
 }
 
+function importDimacsFunction(){
+    const fileInput = document.getElementById("dimacsFile");
+    const file = fileInput && fileInput.files.length > 0 ? fileInput.files[0] : null;
+    const read = file ? file.text() : Promise.resolve(document.getElementById("dimacsInput").value);
+    
+    read.then(text => {
+        const converter = new ClausalConverter();
+        const clauses = converter.fromDimacs(text);
+        // The clause set becomes the formula, so every card runs on it
+        document.querySelector("textarea").value = `$ ${converter.clausesToFormula(clauses)} $`;
+        document.querySelector("input[type='submit']").click();
+    }).catch(error => {
+        console.error("Error importing DIMACS:", error);
+        const clausalArea = document.getElementById("ClausalFormula");
+        if (clausalArea) {
+            clausalArea.innerHTML = `<p style='color: red;'>Error importing DIMACS: ${error.message}</p>`;
+        }
+    });
+}
+
 document.addEventListener("DOMContentLoaded", () => {
     const submit = document.querySelector("input[type='submit']");
     submit.addEventListener("click", (event) => {
@@ -1492,12 +4425,29 @@ document.addEventListener("DOMContentLoaded", () => {
         fdcFunction();
         conjuctiveFunction();
         hornFunction();
+        skolemFunction();
+        nnfFunction();
+        truthTableFunction();
+        resolutionFunction();
+        unifyFunction();
+        sldFunction();
+        satFunction();
     });
     const clearButton = document.querySelector("button");
     clearButton.addEventListener("click", (event) => {
         event.preventDefault();
         clearFunction();
     });
+    const importButton = document.getElementById("importDimacs");
+    importButton.addEventListener("click", (event) => {
+        event.preventDefault();
+        importDimacsFunction();
+    });
+    // The import reads the chosen file first, so editing the text drops the file: whichever
+    // input was changed last is the one imported
+    document.getElementById("dimacsInput").addEventListener("input", () => {
+        document.getElementById("dimacsFile").value = "";
+    });
 });
 
 function clearFunction(){
@@ -1505,9 +4455,23 @@ function clearFunction(){
     const fdc = document.getElementById("FDC");
     const clausal = document.getElementById("ClausalFormula");
     const horn = document.getElementById("HorneClause");
+    const skolem = document.getElementById("SkolemFormula");
+    const nnf = document.getElementById("NNF");
+    const truthTable = document.getElementById("TruthTable");
+    const resolution = document.getElementById("ResolutionProof");
+    const unification = document.getElementById("Unification");
+    const sld = document.getElementById("SLDResolution");
+    const sat = document.getElementById("SATSolver");
     document.getElementById("form").reset();
     fnc.innerHTML = "";
     fdc.innerHTML = "";
     clausal.innerHTML = "";
     horn.innerHTML = "";
+    skolem.innerHTML = "";
+    nnf.innerHTML = "";
+    truthTable.innerHTML = "";
+    resolution.innerHTML = "";
+    unification.innerHTML = "";
+    sld.innerHTML = "";
+    sat.innerHTML = "";
 }